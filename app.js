@@ -11,818 +11,5942 @@
     VALIDATING: 'validating',
     SUBMITTING: 'submitting',
     SUCCESS: 'success',
+    QUEUED: 'queued',
     ERROR: 'error'
   };
 
-  class ContactForm {
-    constructor(formElement) {
-      if (!formElement) {
-        console.error('ContactForm: Form element not provided');
-        return;
-      }
-
-      this.form = formElement;
-      this.state = FormState.IDLE;
-      this.fields = {
-        name: this.form.querySelector('#name'),
-        email: this.form.querySelector('#email'),
-        company: this.form.querySelector('#company'),
-        phone: this.form.querySelector('#phone'),
-        inquiryType: this.form.querySelector('#inquiry-type'),
-        message: this.form.querySelector('#message'),
-        consent: this.form.querySelector('#consent')
-      };
-      this.submitButton = this.form.querySelector('button[type="submit"]');
-      this.stateContainers = {
-        loading: document.getElementById('form-loading'),
-        success: document.getElementById('form-success'),
-        error: document.getElementById('form-error')
-      };
+  const DEFAULT_SUBMIT_TIMEOUT = 15000;
 
-      this.validationRules = {
-        name: {
-          required: true,
-          minLength: 2,
-          maxLength: 100,
-          pattern: /^[a-zA-Z\s'-]+$/,
-          message: 'Please enter a valid name (2-100 characters, letters only)'
-        },
-        email: {
-          required: true,
-          pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-          message: 'Please enter a valid email address'
-        },
-        phone: {
-          required: false,
-          pattern: /^[\d\s+()-]*$/,
-          minLength: 10,
-          message: 'Please enter a valid phone number (at least 10 digits)'
-        },
-        inquiryType: {
-          required: true,
-          message: 'Please select an inquiry type'
-        },
-        message: {
-          required: true,
-          minLength: 10,
-          maxLength: 1000,
-          message: 'Please enter a message (10-1000 characters)'
-        },
-        consent: {
-          required: true,
-          message: 'You must agree to the privacy policy and terms of service'
-        }
-      };
+  const NON_DATA_INPUT_TYPES = ['submit', 'button', 'reset', 'image'];
 
-      this.init();
-    }
+  const TYPE_PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    url: /^https?:\/\/[^\s/$.?#][^\s]*$/i
+  };
 
-    init() {
-      console.log('ContactForm: Initializing form validation');
-      this.bindEvents();
-      this.setupAccessibility();
-    }
+  function toCamelCase(name) {
+    return String(name).replace(/[-_]([a-z])/g, (match, letter) => letter.toUpperCase());
+  }
 
-    bindEvents() {
-      this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+  /**
+   * Leveled Logger
+   * Namespaced console output filtered by a global level. Production defaults
+   * to warn; ?debug (or ?log-level=<level>) switches it and persists the
+   * choice in localStorage. Known PII keys and email/phone-shaped strings are
+   * redacted before anything reaches the console.
+   */
+  const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
 
-      Object.keys(this.fields).forEach(fieldName => {
-        const field = this.fields[fieldName];
-        if (field) {
-          field.addEventListener('blur', () => this.validateField(fieldName));
-          field.addEventListener('input', () => this.clearFieldError(fieldName));
+  const LOG_LEVEL_STORAGE_KEY = 'fintech:log-level';
 
-          if (fieldName === 'email') {
-            field.addEventListener('input', () => this.debounceValidation(fieldName));
-          }
-        }
-      });
+  const DEVELOPMENT_HOSTS = ['localhost', '127.0.0.1', '[::1]', ''];
 
-      console.log('ContactForm: Event listeners attached');
-    }
+  const PII_KEYS = new Set([
+    'name', 'fullname', 'firstname', 'lastname', 'email', 'phone', 'tel',
+    'message', 'company', 'companywebsite', 'website', 'accountid', 'address'
+  ]);
 
-    setupAccessibility() {
-      Object.keys(this.fields).forEach(fieldName => {
-        const field = this.fields[fieldName];
-        if (field) {
-          field.setAttribute('aria-invalid', 'false');
-        }
-      });
-    }
+  const PII_PATTERNS = [
+    /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[^\s@"'<>(),;:]+/g,
+    /\+\d[\d\s().-]{6,}\d/g
+  ];
 
-    validateField(fieldName) {
-      const field = this.fields[fieldName];
-      const rules = this.validationRules[fieldName];
+  const REDACTED = '[redacted]';
 
-      if (!field || !rules) {
-        return true;
-      }
+  const MAX_REDACT_DEPTH = 5;
 
-      const value = field.type === 'checkbox' ? field.checked : field.value.trim();
-      const errorElement = this.form.querySelector(`#${fieldName.replace(/([A-Z])/g, '-$1').toLowerCase()}-error`);
+  function isPiiKey(key) {
+    return PII_KEYS.has(String(key).replace(/[-_\s]/g, '').toLowerCase());
+  }
 
-      if (rules.required && !value) {
-        this.showFieldError(field, errorElement, rules.message || 'This field is required');
-        return false;
-      }
+  function redactString(value) {
+    return PII_PATTERNS.reduce((result, pattern) => result.replace(pattern, REDACTED), value);
+  }
 
-      if (value) {
-        if (rules.minLength && value.length < rules.minLength) {
-          this.showFieldError(field, errorElement, rules.message || `Minimum ${rules.minLength} characters required`);
-          return false;
-        }
+  function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
 
-        if (rules.maxLength && value.length > rules.maxLength) {
-          this.showFieldError(field, errorElement, rules.message || `Maximum ${rules.maxLength} characters allowed`);
-          return false;
-        }
+    if (!value || typeof value !== 'object' || depth >= MAX_REDACT_DEPTH) {
+      return value;
+    }
 
-        if (rules.pattern && !rules.pattern.test(value)) {
-          this.showFieldError(field, errorElement, rules.message);
-          return false;
-        }
-      }
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item, depth + 1));
+    }
 
-      this.clearFieldError(fieldName);
-      this.markFieldValid(field);
-      return true;
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+      return value;
     }
 
-    showFieldError(field, errorElement, message) {
-      if (!field) return;
+    return Object.keys(value).reduce((result, key) => {
+      const entry = value[key];
+      result[key] = isPiiKey(key) && entry !== '' && entry !== null && entry !== undefined
+        ? REDACTED
+        : redact(entry, depth + 1);
+      return result;
+    }, {});
+  }
 
-      field.classList.add('error');
-      field.classList.remove('success');
-      field.setAttribute('aria-invalid', 'true');
+  function readStoredLogLevel() {
+    try {
+      return window.localStorage.getItem(LOG_LEVEL_STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
 
-      if (errorElement) {
-        errorElement.textContent = message;
-        errorElement.style.display = 'block';
+  function storeLogLevel(level) {
+    try {
+      if (level) {
+        window.localStorage.setItem(LOG_LEVEL_STORAGE_KEY, level);
+      } else {
+        window.localStorage.removeItem(LOG_LEVEL_STORAGE_KEY);
       }
+    } catch (error) {
+      // Storage unavailable: the level still applies to this page view
+    }
+  }
+
+  function resolveLogLevel() {
+    const params = new URLSearchParams(window.location.search);
 
-      console.log(`ContactForm: Validation error - ${field.name}: ${message}`);
+    if (params.has('log-level') && LOG_LEVELS[params.get('log-level')]) {
+      storeLogLevel(params.get('log-level'));
+    } else if (params.has('debug')) {
+      storeLogLevel(['0', 'false', 'off'].includes(params.get('debug')) ? null : 'debug');
     }
 
-    clearFieldError(fieldName) {
-      const field = this.fields[fieldName];
-      if (!field) return;
+    const stored = readStoredLogLevel();
+    if (stored && LOG_LEVELS[stored]) {
+      return stored;
+    }
 
-      const errorElement = this.form.querySelector(`#${fieldName.replace(/([A-Z])/g, '-$1').toLowerCase()}-error`);
+    return DEVELOPMENT_HOSTS.includes(window.location.hostname) ? 'debug' : 'warn';
+  }
 
-      field.classList.remove('error');
-      field.setAttribute('aria-invalid', 'false');
+  const logSettings = { level: null };
 
-      if (errorElement) {
-        errorElement.textContent = '';
-        errorElement.style.display = 'none';
-      }
+  function getLogLevel() {
+    if (!logSettings.level) {
+      logSettings.level = resolveLogLevel();
     }
+    return logSettings.level;
+  }
 
-    markFieldValid(field) {
-      if (!field) return;
+  function createLogger(namespace) {
+    const write = (level, method) => (message, ...details) => {
+      if (LOG_LEVELS[level] < LOG_LEVELS[getLogLevel()]) return;
+      console[method](`${namespace}: ${redactString(String(message))}`, ...details.map(detail => redact(detail)));
+    };
+
+    return {
+      debug: write('debug', 'debug'),
+      info: write('info', 'info'),
+      warn: write('warn', 'warn'),
+      error: write('error', 'error')
+    };
+  }
 
-      field.classList.remove('error');
-      field.classList.add('success', 'validated');
-      field.setAttribute('aria-invalid', 'false');
+  /**
+   * Internationalization
+   * Flat message catalogs with {placeholder} interpolation. English ships
+   * bundled as the fallback; other locales load as JSON from the URL template
+   * in <meta name="i18n-catalog">, using <html lang> or navigator.language.
+   */
+  const DEFAULT_LOCALE = 'en';
+
+  const MESSAGES_EN = {
+    'validation.required': 'This field is required',
+    'validation.minLength': 'Minimum {minLength} characters required',
+    'validation.maxLength': 'Maximum {maxLength} characters allowed',
+    'validation.type': 'Please enter a valid value',
+    'validation.pattern': 'Please match the requested format',
+    'validation.async': 'Please enter a valid value',
+    'validation.fields.name': 'Please enter a valid name (2-100 characters: letters, spaces, apostrophes or hyphens)',
+    'validation.fields.email': 'Please enter a valid email address',
+    'validation.fields.inquiryType': 'Please select an inquiry type',
+    'validation.fields.message': 'Please enter a message (10-1000 characters)',
+    'validation.fields.consent': 'You must agree to the privacy policy and terms of service',
+    'validation.fields.monthlyVolume': 'Please select your monthly transaction volume',
+    'validation.fields.accountId': 'Please enter your account ID (e.g. ACC-123456)',
+    'validation.fields.companyWebsite': 'Please enter a valid website address starting with http:// or https://',
+    'validation.businessEmail.disposable': 'Disposable email addresses are not accepted. Please use a permanent address.',
+    'validation.businessEmail.freeMail': 'Please use your company email address for sales and partnership inquiries.',
+    'validation.emailDomain.unverified': 'We couldn\'t verify that {domain} can receive email.',
+    'validation.businessCompany.required': 'Please enter your company name for sales and partnership inquiries.',
+    'phone.invalidCharacters': 'Phone numbers may only contain digits, spaces and + ( ) - characters',
+    'phone.invalidCountryCode': 'Please enter a valid country calling code',
+    'phone.invalidLength': 'Please enter a valid {country} phone number ({digits} digits)',
+    'form.loading': 'Sending your message...',
+    'form.success': 'Thank you! Your message has been sent successfully. We\'ll get back to you soon.',
+    'form.queued': 'You appear to be offline. Your message has been saved and will be sent automatically once your connection is restored.',
+    'form.queuedServerError': 'Our servers are having trouble right now. Your message has been saved and will be sent automatically as soon as they recover.',
+    'form.error': 'Sorry, something went wrong. Please try again later.',
+    'form.unexpectedError': 'An unexpected error occurred. Please try again.',
+    'form.timeout': 'The request timed out. Please check your connection and try again.',
+    'form.misconfigured': 'The contact form is not configured correctly. Please try again later.',
+    'form.networkError': 'Network error. Please check your connection and try again.',
+    'form.serverError': 'Server error. Please try again later.',
+    'form.submissionFailed': 'Submission failed. Please try again.',
+    'http.400': 'Some of the information provided is invalid. Please review the highlighted fields.',
+    'http.401': 'Your session has expired. Please reload the page and try again.',
+    'http.403': 'Your submission was rejected. Please reload the page and try again.',
+    'http.404': 'The contact service is currently unavailable. Please try again later.',
+    'http.409': 'This message has already been received. We will be in touch soon.',
+    'http.413': 'Your message is too long. Please shorten it and try again.',
+    'http.422': 'Some of the information provided is invalid. Please review the highlighted fields.',
+    'http.429': 'Too many submissions. Please wait a moment and try again.',
+    'button.success': 'Success!',
+    'button.error': 'Something went wrong',
+    'wizard.back': 'Back',
+    'wizard.next': 'Next',
+    'wizard.progressLabel': 'Form progress',
+    'wizard.status': 'Step {current} of {total}: {title}',
+    'draft.prompt': 'You have an unsent message from {time}. Would you like to restore it?',
+    'draft.restore': 'Restore draft',
+    'draft.discard': 'Discard',
+    'spam.honeypot': 'Your submission could not be processed. Please try again.',
+    'spam.tooFast': 'That was quick! Please take a moment to review your message before sending.',
+    'spam.rateLimited': 'You have sent several messages recently. Please try again in {minutes} minutes.',
+    'consent.title': 'Your privacy choices',
+    'consent.description': 'We use necessary cookies to run this site. With your permission we also measure how it is used and load marketing content such as third-party images.',
+    'consent.accept': 'Accept all',
+    'consent.reject': 'Reject optional',
+    'consent.customize': 'Customize',
+    'consent.save': 'Save preferences',
+    'consent.manage': 'Cookie Preferences',
+    'consent.preferencesTitle': 'Cookie preferences',
+    'consent.categories': 'Consent categories',
+    'consent.necessary.title': 'Necessary',
+    'consent.necessary.description': 'Required for the site and the contact form to work. Always on.',
+    'consent.analytics.title': 'Analytics',
+    'consent.analytics.description': 'Anonymous interaction events that help us improve the page.',
+    'consent.marketing.title': 'Marketing',
+    'consent.marketing.description': 'Content from third parties, such as testimonial photos, that may set their own cookies.',
+    'carousel.previous': 'Previous slide',
+    'carousel.next': 'Next slide',
+    'carousel.dots': 'Choose slide',
+    'carousel.goTo': 'Go to slide {index}',
+    'carousel.slideLabel': '{index} of {total}',
+    'carousel.status': 'Slide {index} of {total}',
+    'carousel.pause': 'Pause automatic rotation',
+    'carousel.play': 'Start automatic rotation',
+    'testimonials.rating': '{rating} star rating',
+    'testimonials.photoAlt': '{name} portrait',
+    'nav.open': 'Open menu',
+    'nav.close': 'Close menu',
+    'pricing.perMonth': '/month',
+    'pricing.billedMonthly': 'Billed monthly',
+    'pricing.billedAnnually': 'Billed annually at {total}',
+    'pricing.annualSavings': 'Save {amount} per year',
+    'pricing.saveUpTo': 'Save up to {percent}',
+    'pricing.custom': 'Custom',
+    'pricing.customDetail': 'Volume-based pricing tailored to you',
+    'pricing.featured': 'Most popular',
+    'pricing.choose': 'Choose {plan}',
+    'pricing.feature': 'Feature',
+    'pricing.included': 'Included',
+    'pricing.notIncluded': 'Not included',
+    'calculator.shareCopied': 'Link copied. Anyone with it will see these numbers.',
+    'calculator.shareFallback': 'Copy this link to share your numbers: {url}',
+    'calculator.estimateAdded': 'Your estimate has been added to the contact form.',
+    'calculator.fees.message': 'Please send me a fee estimate. We process {volume} per month across {count} transactions and currently pay {current} in fees. Your calculator shows {proposed} with FinTech, a difference of {monthly} per month.',
+    'calculator.savings.message': 'Please send me an automation estimate. Our team spends {hours} hours per month on manual finance work at {hourlyCost} per hour. Your calculator shows {hoursSaved} hours saved, worth {monthly} per month or {annual} per year.',
+    'calculator.fx.message': 'Please send me an FX estimate. Converting {amount} to {currency} gives {converted} with FinTech versus {bank} at a typical bank, a difference of {difference}.'
+  };
+
+  const i18nLogger = createLogger('I18n');
+
+  class I18n {
+    constructor() {
+      this.catalogs = { [DEFAULT_LOCALE]: MESSAGES_EN };
+      this.locale = this.resolveLocale();
+      this.listeners = new Set();
     }
 
-    debounceValidation(fieldName) {
-      if (this.validationTimeout) {
-        clearTimeout(this.validationTimeout);
+    resolveLocale() {
+      // The template ships lang="en"; only a different, deliberately set
+      // document language overrides the visitor's browser language
+      const documentLocale = document.documentElement.getAttribute('lang');
+      const requested = documentLocale && documentLocale !== DEFAULT_LOCALE
+        ? documentLocale
+        : navigator.language || documentLocale || DEFAULT_LOCALE;
+
+      try {
+        return Intl.getCanonicalLocales(requested)[0];
+      } catch (error) {
+        i18nLogger.warn(`Invalid locale "${requested}", using ${DEFAULT_LOCALE}`);
+        return DEFAULT_LOCALE;
       }
+    }
 
-      this.validationTimeout = setTimeout(() => {
-        const field = this.fields[fieldName];
-        if (field && field.value.trim()) {
-          this.validateField(fieldName);
-        }
-      }, 500);
+    getFallbackChain() {
+      const base = this.locale.split('-')[0];
+      return Array.from(new Set([this.locale, base, DEFAULT_LOCALE]));
     }
 
-    validateAllFields() {
-      console.log('ContactForm: Validating all fields');
-      let isValid = true;
+    async loadCatalogs() {
+      const meta = document.querySelector('meta[name="i18n-catalog"]');
+      if (!meta) return;
 
-      Object.keys(this.validationRules).forEach(fieldName => {
-        if (!this.validateField(fieldName)) {
-          isValid = false;
+      // Every English variant is served by the bundled messages
+      const bundledLanguage = DEFAULT_LOCALE.split('-')[0];
+      const locales = this.getFallbackChain()
+        .filter(locale => !this.catalogs[locale] && locale.split('-')[0] !== bundledLanguage);
+      if (!locales.length) return;
+
+      await Promise.all(locales.map(async (locale) => {
+        const url = meta.getAttribute('content').replace('{locale}', encodeURIComponent(locale));
+
+        try {
+          const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+          if (!response.ok) return;
+
+          this.catalogs[locale] = await response.json();
+          i18nLogger.debug(`Loaded catalog for ${locale}`);
+        } catch (error) {
+          i18nLogger.warn(`Unable to load catalog for ${locale}`, error);
+        }
+      }));
+
+      this.translatePage();
+      this.listeners.forEach(listener => {
+        try {
+          listener(this.locale);
+        } catch (error) {
+          i18nLogger.error('Locale listener failed', error);
         }
       });
-
-      return isValid;
     }
 
-    async handleSubmit(e) {
-      e.preventDefault();
-
-      console.log('ContactForm: Form submission initiated');
+    onChange(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
 
-      if (this.state === FormState.SUBMITTING) {
-        console.log('ContactForm: Already submitting, ignoring duplicate submission');
-        return;
+    lookup(key) {
+      for (const locale of this.getFallbackChain()) {
+        const catalog = this.catalogs[locale];
+        if (catalog && typeof catalog[key] === 'string') {
+          return catalog[key];
+        }
       }
+      return null;
+    }
 
-      if (!this.validateAllFields()) {
-        console.log('ContactForm: Validation failed');
-        this.focusFirstError();
-        return;
+    t(key, params = {}) {
+      const message = this.lookup(key);
+      if (message === null) {
+        i18nLogger.warn(`Missing message for "${key}"`);
+        return key;
       }
 
+      return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    getRegionName(code, fallback) {
       try {
-        await this.submitForm();
+        return new Intl.DisplayNames([this.locale], { type: 'region' }).of(code) || fallback;
       } catch (error) {
-        console.error('ContactForm: Submission error:', error);
-        this.setState(FormState.ERROR);
-        this.showErrorMessage('An unexpected error occurred. Please try again.');
+        return fallback;
       }
     }
 
-    async submitForm() {
-      this.setState(FormState.SUBMITTING);
-      this.disableForm();
-      this.hideAllStateMessages();
-      this.showLoadingState();
+    translatePage(root = document) {
+      root.querySelectorAll('[data-i18n]').forEach(element => {
+        const message = this.lookup(element.dataset.i18n);
+        if (message !== null) {
+          element.textContent = message;
+        }
+      });
+    }
+  }
 
-      console.log('ContactForm: Submitting form data');
+  const i18n = new I18n();
 
-      const formData = this.getFormData();
-      console.log('ContactForm: Form data collected', formData);
+  /**
+   * Consent Management
+   * Records the visitor's choice per category (necessary, analytics,
+   * marketing) and acts as the gate other modules query before sending
+   * tracking data or loading third-party resources ([data-consent-src])
+   */
+  const consentLogger = createLogger('Consent');
 
-      try {
-        const response = await this.simulateAPICall(formData);
+  const CONSENT_STORAGE_KEY = 'fintech:consent';
 
-        if (response.success) {
-          console.log('ContactForm: Submission successful');
-          this.setState(FormState.SUCCESS);
-          this.showSuccessMessage();
-          this.resetForm();
-        } else {
-          console.error('ContactForm: Submission failed', response.error);
-          this.setState(FormState.ERROR);
-          this.showErrorMessage(response.error || 'Submission failed. Please try again.');
+  const CONSENT_VERSION = 1;
+
+  const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+  const OPTIONAL_CONSENT_CATEGORIES = CONSENT_CATEGORIES.filter(category => category !== 'necessary');
+
+  class ConsentManager {
+    constructor(options = {}) {
+      this.storageKey = options.storageKey || CONSENT_STORAGE_KEY;
+      this.listeners = new Set();
+      this.banner = null;
+      this.dialog = null;
+      this.opener = null;
+      this.record = this.readRecord();
+    }
+
+    readRecord() {
+      try {
+        const record = JSON.parse(window.localStorage.getItem(this.storageKey));
+        if (record && record.version === CONSENT_VERSION && record.categories) {
+          return record;
         }
       } catch (error) {
-        console.error('ContactForm: Network error', error);
-        this.setState(FormState.ERROR);
-        this.showErrorMessage('Network error. Please check your connection and try again.');
-      } finally {
-        this.hideLoadingState();
-        this.enableForm();
+        consentLogger.warn('Unable to read stored consent', error);
       }
+      return null;
     }
 
-    simulateAPICall(formData) {
-      return new Promise((resolve) => {
-        console.log('ContactForm: Simulating API call with 2s delay');
+    init() {
+      this.banner = document.getElementById('consent-banner');
+      this.dialog = document.getElementById('consent-preferences');
 
-        setTimeout(() => {
-          const success = Math.random() > 0.1;
+      if (this.banner) {
+        this.banner.addEventListener('click', (e) => this.handleAction(e));
+      }
 
-          resolve({
-            success: success,
-            error: success ? null : 'Server error. Please try again later.'
-          });
-        }, 2000);
+      if (this.dialog) {
+        this.dialog.addEventListener('click', (e) => this.handleAction(e));
+        this.dialog.addEventListener('close', () => this.restoreFocus());
+      }
+
+      document.querySelectorAll('[data-consent-open]').forEach(trigger => {
+        trigger.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.openPreferences(trigger);
+        });
       });
-    }
 
-    getFormData() {
-      return {
-        name: this.fields.name?.value.trim() || '',
-        email: this.fields.email?.value.trim() || '',
-        company: this.fields.company?.value.trim() || '',
-        phone: this.fields.phone?.value.trim() || '',
-        inquiryType: this.fields.inquiryType?.value || '',
-        message: this.fields.message?.value.trim() || '',
-        consent: this.fields.consent?.checked || false,
-        timestamp: new Date().toISOString()
-      };
-    }
+      if (this.banner) {
+        this.banner.hidden = this.hasDecided();
+      }
 
-    setState(newState) {
-      console.log(`ContactForm: State change ${this.state} -> ${newState}`);
-      this.state = newState;
+      this.loadGatedResources();
+
+      consentLogger.debug('Initialized', { decided: this.hasDecided(), categories: this.getCategories() });
     }
 
-    disableForm() {
-      Object.values(this.fields).forEach(field => {
-        if (field) {
-          field.disabled = true;
-        }
-      });
+    handleAction(e) {
+      const trigger = e.target.closest('[data-consent-action]');
+      if (!trigger) return;
+
+      switch (trigger.dataset.consentAction) {
+        case 'accept':
+          this.update(Object.fromEntries(OPTIONAL_CONSENT_CATEGORIES.map(category => [category, true])), 'accept-all');
+          break;
+        case 'reject':
+          this.update({}, 'reject-optional');
+          break;
+        case 'customize':
+          this.openPreferences(trigger);
+          break;
+        case 'save':
+          this.update(this.readDialogChoices(), 'preferences');
+          break;
+        default:
+          return;
+      }
 
-      if (this.submitButton) {
-        this.submitButton.disabled = true;
-        this.submitButton.setAttribute('aria-busy', 'true');
+      if (trigger.dataset.consentAction !== 'customize') {
+        this.closePreferences();
       }
     }
 
-    enableForm() {
-      Object.values(this.fields).forEach(field => {
-        if (field) {
-          field.disabled = false;
-        }
-      });
+    hasDecided() {
+      return Boolean(this.record);
+    }
 
-      if (this.submitButton) {
-        this.submitButton.disabled = false;
-        this.submitButton.setAttribute('aria-busy', 'false');
-      }
+    has(category) {
+      if (category === 'necessary') return true;
+      return Boolean(this.record && this.record.categories[category]);
     }
 
-    showLoadingState() {
-      if (this.stateContainers.loading) {
-        this.stateContainers.loading.style.display = 'flex';
-      }
+    getCategories() {
+      return Object.fromEntries(CONSENT_CATEGORIES.map(category => [category, this.has(category)]));
     }
 
-    hideLoadingState() {
-      if (this.stateContainers.loading) {
-        this.stateContainers.loading.style.display = 'none';
-      }
+    getRecord() {
+      return this.record ? { ...this.record, categories: { ...this.record.categories } } : null;
     }
 
-    showSuccessMessage() {
-      if (this.stateContainers.success) {
-        this.stateContainers.success.style.display = 'flex';
+    whenGranted(category) {
+      if (this.has(category)) {
+        return Promise.resolve();
+      }
 
-        setTimeout(() => {
-          if (this.stateContainers.success) {
-            this.stateContainers.success.style.display = 'none';
+      return new Promise(resolve => {
+        const unsubscribe = this.onChange(() => {
+          if (this.has(category)) {
+            unsubscribe();
+            resolve();
           }
-        }, 8000);
-      }
+        });
+      });
     }
 
-    showErrorMessage(message) {
-      if (this.stateContainers.error) {
-        const messageElement = this.stateContainers.error.querySelector('span:last-child');
-        if (messageElement) {
-          messageElement.textContent = message;
-        }
-        this.stateContainers.error.style.display = 'flex';
+    onChange(listener) {
+      this.listeners.add(listener);
+      return () => this.listeners.delete(listener);
+    }
 
-        setTimeout(() => {
-          if (this.stateContainers.error) {
-            this.stateContainers.error.style.display = 'none';
-          }
-        }, 8000);
+    update(choices, method) {
+      const categories = { necessary: true };
+      OPTIONAL_CONSENT_CATEGORIES.forEach(category => {
+        categories[category] = Boolean(choices[category]);
+      });
+
+      this.record = {
+        version: CONSENT_VERSION,
+        id: this.record ? this.record.id : generateSubmissionId(),
+        categories,
+        method,
+        updatedAt: new Date().toISOString()
+      };
+
+      try {
+        window.localStorage.setItem(this.storageKey, JSON.stringify(this.record));
+      } catch (error) {
+        consentLogger.warn('Unable to persist consent, it applies to this page view only', error);
       }
-    }
 
-    hideAllStateMessages() {
-      Object.values(this.stateContainers).forEach(container => {
-        if (container) {
-          container.style.display = 'none';
+      if (this.banner) {
+        this.banner.hidden = true;
+      }
+
+      this.loadGatedResources();
+      consentLogger.info('Consent updated', { method, categories });
+
+      this.listeners.forEach(listener => {
+        try {
+          listener(this.getCategories());
+        } catch (error) {
+          consentLogger.error('Consent listener failed', error);
         }
       });
     }
 
-    resetForm() {
-      console.log('ContactForm: Resetting form');
+    loadGatedResources(root = document) {
+      root.querySelectorAll('[data-consent-src]').forEach(element => {
+        if (element.getAttribute('src') || element.closest('[data-lazy-pending]')) return;
+        if (!this.has(element.dataset.consent || 'marketing')) return;
+        element.setAttribute('src', element.dataset.consentSrc);
+      });
+    }
 
-      this.form.reset();
+    readDialogChoices() {
+      const choices = {};
+      if (!this.dialog) return choices;
 
-      Object.keys(this.fields).forEach(fieldName => {
-        const field = this.fields[fieldName];
-        if (field) {
-          field.classList.remove('error', 'success', 'validated');
-          field.setAttribute('aria-invalid', 'false');
-        }
-        this.clearFieldError(fieldName);
+      this.dialog.querySelectorAll('[data-consent-choice]').forEach(input => {
+        choices[input.dataset.consentChoice] = input.checked;
       });
+      return choices;
+    }
 
-      this.setState(FormState.IDLE);
+    openPreferences(opener) {
+      if (!this.dialog) return;
+
+      this.opener = opener || document.activeElement;
+      this.dialog.querySelectorAll('[data-consent-choice]').forEach(input => {
+        input.checked = this.has(input.dataset.consentChoice);
+      });
+
+      if (typeof this.dialog.showModal === 'function') {
+        this.dialog.showModal();
+      } else {
+        this.dialog.setAttribute('open', '');
+      }
+
+      const firstChoice = this.dialog.querySelector('[data-consent-choice]:not(:disabled)');
+      if (firstChoice) {
+        firstChoice.focus();
+      }
     }
 
-    focusFirstError() {
-      const firstErrorField = this.form.querySelector('.error');
-      if (firstErrorField) {
-        firstErrorField.focus();
-        console.log('ContactForm: Focused first error field');
+    closePreferences() {
+      if (!this.dialog || !this.dialog.hasAttribute('open')) return;
+
+      if (typeof this.dialog.close === 'function') {
+        this.dialog.close();
+      } else {
+        this.dialog.removeAttribute('open');
+        this.restoreFocus();
       }
     }
+
+    restoreFocus() {
+      const target = this.opener && document.contains(this.opener) && !this.opener.closest('[hidden]')
+        ? this.opener
+        : document.querySelector('[data-consent-open]');
+
+      if (target) {
+        target.focus();
+      }
+      this.opener = null;
+    }
   }
 
+  const consent = new ConsentManager();
+
   /**
-   * Scroll-Triggered Reveal Animation with Intersection Observer
-   * Implements staggered animations for sections as they enter viewport
+   * Analytics Event Bus
+   * Fans interaction events out to pluggable sinks configured from markup.
+   * Each sink declares a consent category and only receives events once the
+   * visitor has granted it.
    */
-  class ScrollReveal {
+  const analyticsLogger = createLogger('Analytics');
+
+  const DEFAULT_BEACON_BATCH_SIZE = 10;
+
+  const analyticsSinkRegistry = new Map();
+
+  function getSectionId(element) {
+    if (!element || typeof element.closest !== 'function') return null;
+
+    const section = element.closest('section[id]') || element.closest('[id]');
+    return section ? section.id : null;
+  }
+
+  function createDataLayerSink(options = {}) {
+    const layerName = options.layerName || 'dataLayer';
+
+    return {
+      category: 'analytics',
+      handle(event) {
+        window[layerName] = window[layerName] || [];
+        window[layerName].push({
+          event: event.name,
+          eventTimestamp: event.timestamp,
+          sectionId: event.sectionId,
+          payload: event.payload
+        });
+      }
+    };
+  }
+
+  function createBeaconSink(options = {}) {
+    const url = options.url;
+    const batchSize = options.batchSize || DEFAULT_BEACON_BATCH_SIZE;
+    let buffer = [];
+
+    const flush = () => {
+      if (!buffer.length || !url) return;
+
+      const body = JSON.stringify({ events: buffer });
+      buffer = [];
+
+      if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+        return;
+      }
+
+      fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      }).catch(error => {
+        analyticsLogger.warn('Beacon delivery failed', error);
+      });
+    };
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flush();
+    });
+    window.addEventListener('pagehide', flush);
+
+    return {
+      category: 'analytics',
+      handle(event) {
+        buffer.push(event);
+        if (buffer.length >= batchSize) flush();
+      },
+      flush
+    };
+  }
+
+  function createMemorySink() {
+    const events = [];
+
+    return {
+      category: 'necessary',
+      events,
+      handle(event) {
+        events.push(event);
+      },
+      clear() {
+        events.length = 0;
+      }
+    };
+  }
+
+  analyticsSinkRegistry.set('dataLayer', createDataLayerSink);
+  analyticsSinkRegistry.set('beacon', createBeaconSink);
+  analyticsSinkRegistry.set('memory', createMemorySink);
+
+  class AnalyticsBus {
     constructor() {
-      this.elements = [];
-      this.observerOptions = {
-        root: null,
-        rootMargin: '0px 0px -100px 0px',
-        threshold: 0.15
+      this.sinks = new Map();
+    }
+
+    configure() {
+      const sinksMeta = document.querySelector('meta[name="analytics-sinks"]');
+      const beaconMeta = document.querySelector('meta[name="analytics-beacon-url"]');
+      const names = sinksMeta ? sinksMeta.content.split(/\s+/).filter(Boolean) : [];
+
+      names.forEach(name => {
+        const options = name === 'beacon' ? { url: beaconMeta ? beaconMeta.content : '' } : {};
+
+        if (name === 'beacon' && !options.url) {
+          analyticsLogger.warn('Beacon sink requested without analytics-beacon-url, skipping');
+          return;
+        }
+
+        this.addSink(name, options);
+      });
+
+      analyticsLogger.debug('Configured sinks', Array.from(this.sinks.keys()));
+    }
+
+    addSink(name, options = {}) {
+      const factory = analyticsSinkRegistry.get(name);
+
+      if (!factory) {
+        analyticsLogger.warn(`Unknown sink "${name}"`);
+        return null;
+      }
+
+      const sink = factory(options);
+      this.sinks.set(name, sink);
+      return sink;
+    }
+
+    getSink(name) {
+      return this.sinks.get(name) || null;
+    }
+
+    removeSink(name) {
+      this.sinks.delete(name);
+    }
+
+    publish(name, payload = {}, element = null) {
+      const event = {
+        name,
+        timestamp: new Date().toISOString(),
+        sectionId: getSectionId(element),
+        payload
       };
 
-      this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+      this.sinks.forEach((sink, sinkName) => {
+        if (!consent.has(sink.category || 'analytics')) return;
 
-      console.log('ScrollReveal: Initialization started', {
-        reducedMotion: this.reducedMotion,
-        observerSupported: 'IntersectionObserver' in window
+        try {
+          sink.handle(event);
+        } catch (error) {
+          analyticsLogger.warn(`Sink "${sinkName}" failed to handle ${name}`, error);
+        }
       });
 
-      this.init();
+      return event;
     }
+  }
 
-    init() {
-      if (this.reducedMotion) {
-        console.log('ScrollReveal: Reduced motion preferred, skipping animations');
-        this.revealAllImmediately();
-        return;
+  const analytics = new AnalyticsBus();
+
+  /**
+   * Lifecycle Events and Instance Registry
+   * Components announce milestones as bubbling CustomEvents named
+   * "<component>:<event>" on their root element. The registry keeps every
+   * instance created at start-up, with its root element and the options it
+   * was created with, so other scripts can reach the live components.
+   */
+  function dispatchLifecycleEvent(target, name, detail = {}) {
+    return (target || document).dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+  }
+
+  class InstanceRegistry {
+    constructor() {
+      this.entries = new Map();
+    }
+
+    register(type, instance, { element = null, options = {} } = {}) {
+      if (!instance) return instance;
+
+      if (!this.entries.has(type)) {
+        this.entries.set(type, []);
       }
+      this.entries.get(type).push({ instance, element, options });
+      return instance;
+    }
 
-      if (!('IntersectionObserver' in window)) {
-        console.warn('ScrollReveal: IntersectionObserver not supported, revealing all elements');
-        this.revealAllImmediately();
-        return;
+    unregister(type, instance) {
+      const entries = this.entries.get(type);
+      if (!entries) return;
+
+      this.entries.set(type, entries.filter(entry => entry.instance !== instance));
+    }
+
+    get(type, element) {
+      const entries = this.entries.get(type) || [];
+      const entry = element
+        ? entries.find(item => item.element && (item.element === element || item.element.contains(element)))
+        : entries[0];
+      return entry ? entry.instance : null;
+    }
+
+    getAll(type) {
+      return (this.entries.get(type) || []).map(entry => entry.instance);
+    }
+
+    getOptions(instance) {
+      for (const entries of this.entries.values()) {
+        const entry = entries.find(item => item.instance === instance);
+        if (entry) return entry.options;
       }
+      return null;
+    }
 
-      this.setupObserver();
-      this.observeElements();
-      console.log('ScrollReveal: Initialization complete');
+    types() {
+      return Array.from(this.entries.keys()).filter(type => this.entries.get(type).length > 0);
     }
+  }
 
-    setupObserver() {
-      this.observer = new IntersectionObserver((entries) => {
-        entries.forEach((entry) => {
-          if (entry.isIntersecting) {
-            this.revealElement(entry.target);
-            this.observer.unobserve(entry.target);
-          }
-        });
-      }, this.observerOptions);
+  const instances = new InstanceRegistry();
+
+  /**
+   * Submission Error
+   * Describes a transport failure that never produced a usable server response
+   */
+  class SubmissionError extends Error {
+    constructor(type, message) {
+      super(message);
+      this.name = 'SubmissionError';
+      this.type = type;
     }
+  }
 
-    observeElements() {
-      this.elements = Array.from(document.querySelectorAll('[data-reveal]'));
+  /**
+   * Submission Transports
+   * Each transport receives the collected form data and the resolved transport
+   * config, and resolves to { success, status, error, fieldErrors }. Transports
+   * reject with a SubmissionError when no response could be obtained.
+   */
+  const transportLogger = createLogger('Transport');
 
-      console.log(`ScrollReveal: Found ${this.elements.length} elements to observe`);
+  const transportRegistry = new Map();
 
-      this.elements.forEach((element) => {
-        this.observer.observe(element);
+  function getHttpErrorMessage(status) {
+    if (i18n.lookup(`http.${status}`) !== null) {
+      return i18n.t(`http.${status}`);
+    }
+    if (status >= 500) {
+      return i18n.t('form.serverError');
+    }
+    return i18n.t('form.submissionFailed');
+  }
+
+  async function parseResponseBody(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!contentType.includes('application/json')) {
+      return {};
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      transportLogger.warn('Unable to parse JSON response body', error);
+      return {};
+    }
+  }
+
+  async function fetchTransport(formData, config) {
+    if (!config.endpoint) {
+      throw new SubmissionError('config', 'No submission endpoint configured');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+    let response;
+
+    try {
+      response = await fetch(config.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(formData),
+        signal: controller.signal
       });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new SubmissionError('timeout', `Request timed out after ${config.timeout}ms`);
+      }
+      throw new SubmissionError('network', error.message);
+    } finally {
+      clearTimeout(timeoutId);
     }
 
-    revealElement(element) {
-      requestAnimationFrame(() => {
-        element.classList.add('revealed');
-        console.log('ScrollReveal: Element revealed', {
-          tag: element.tagName,
-          class: element.className
+    const body = await parseResponseBody(response);
+
+    if (response.ok) {
+      return { success: true, status: response.status, data: body };
+    }
+
+    return {
+      success: false,
+      status: response.status,
+      error: body.message || getHttpErrorMessage(response.status),
+      fieldErrors: body.errors || body.fieldErrors || null
+    };
+  }
+
+  function mockTransport(formData) {
+    return new Promise((resolve) => {
+      transportLogger.debug('Simulating API call with 2s delay');
+
+      setTimeout(() => {
+        const success = Math.random() > 0.1;
+
+        resolve({
+          success: success,
+          status: success ? 200 : 500,
+          error: success ? null : i18n.t('form.serverError')
         });
+      }, 2000);
+    });
+  }
+
+  transportRegistry.set('fetch', fetchTransport);
+  transportRegistry.set('mock', mockTransport);
+
+  function isRetryableError(error) {
+    return !(error instanceof SubmissionError) || error.type !== 'config';
+  }
+
+  function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  const queueLogger = createLogger('SubmissionQueue');
+
+  /**
+   * Offline Submission Queue
+   * Persists submissions that could not be delivered and retries them with
+   * exponential backoff when connectivity returns or on the next page load.
+   * options.refresh(formData) can add short-lived data, such as a fresh
+   * proof-of-work token, right before each attempt
+   */
+  class SubmissionQueue {
+    constructor(options = {}) {
+      this.send = options.send;
+      this.refresh = options.refresh || (formData => formData);
+      this.onDelivered = options.onDelivered || (() => {});
+      this.storageKey = options.storageKey || 'fintech:contact-queue';
+      this.baseDelay = options.baseDelay || 5000;
+      this.maxDelay = options.maxDelay || 300000;
+      this.maxAttempts = options.maxAttempts || 8;
+      this.retryTimeout = null;
+      this.flushing = false;
+
+      window.addEventListener('online', () => {
+        queueLogger.debug('Connection restored, flushing queue');
+        this.flush({ force: true });
       });
     }
 
-    revealAllImmediately() {
-      const elements = document.querySelectorAll('[data-reveal]');
-      elements.forEach((element) => {
-        element.classList.add('revealed');
-        element.style.opacity = '1';
-        element.style.transform = 'translateY(0)';
-      });
-      console.log(`ScrollReveal: Revealed ${elements.length} elements immediately`);
+    isAvailable() {
+      try {
+        const probeKey = `${this.storageKey}:probe`;
+        window.localStorage.setItem(probeKey, '1');
+        window.localStorage.removeItem(probeKey);
+        return true;
+      } catch (error) {
+        return false;
+      }
     }
 
-    destroy() {
-      if (this.observer) {
-        this.observer.disconnect();
-        console.log('ScrollReveal: Observer disconnected');
+    load() {
+      try {
+        const stored = JSON.parse(window.localStorage.getItem(this.storageKey));
+        return Array.isArray(stored) ? stored : [];
+      } catch (error) {
+        queueLogger.warn('Unable to read stored queue', error);
+        return [];
+      }
+    }
+
+    save(entries) {
+      try {
+        if (entries.length) {
+          window.localStorage.setItem(this.storageKey, JSON.stringify(entries));
+        } else {
+          window.localStorage.removeItem(this.storageKey);
+        }
+      } catch (error) {
+        queueLogger.error('Unable to persist queue', error);
+      }
+    }
+
+    size() {
+      return this.load().length;
+    }
+
+    enqueue(formData) {
+      const entries = this.load();
+      const entry = {
+        id: formData.submissionId,
+        formData: formData,
+        attempts: 0,
+        queuedAt: Date.now(),
+        nextAttemptAt: Date.now() + this.baseDelay
+      };
+
+      entries.push(entry);
+      this.save(entries);
+      queueLogger.info(`Submission queued (${entries.length} pending)`, { id: entry.id });
+
+      this.scheduleRetry();
+      return entry;
+    }
+
+    getBackoffDelay(attempts) {
+      const delay = Math.min(this.baseDelay * Math.pow(2, attempts), this.maxDelay);
+      return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    async flush({ force = false } = {}) {
+      if (this.flushing || navigator.onLine === false) {
+        return;
+      }
+
+      this.flushing = true;
+      clearTimeout(this.retryTimeout);
+
+      try {
+        const now = Date.now();
+        const pending = this.load();
+
+        for (const entry of pending) {
+          if (!force && entry.nextAttemptAt > now) {
+            continue;
+          }
+          await this.attempt(entry);
+        }
+      } finally {
+        this.flushing = false;
+        this.scheduleRetry();
+      }
+    }
+
+    async attempt(entry) {
+      let delivered = false;
+      let retryable = true;
+
+      try {
+        const response = await this.send(await this.refresh(entry.formData));
+        delivered = response.success;
+        retryable = !delivered && isRetryableStatus(response.status);
+
+        if (!delivered && !retryable) {
+          queueLogger.error('Submission rejected by server, discarding', {
+            id: entry.id,
+            status: response.status
+          });
+        }
+      } catch (error) {
+        retryable = isRetryableError(error);
+        queueLogger.warn('Retry failed', { id: entry.id, error: error.message });
+      }
+
+      const entries = this.load();
+      const stored = entries.find(item => item.id === entry.id);
+      if (!stored) return;
+
+      stored.attempts += 1;
+
+      if (delivered || !retryable || stored.attempts >= this.maxAttempts) {
+        if (!delivered && retryable) {
+          queueLogger.error('Maximum retry attempts reached, discarding', { id: entry.id });
+        }
+        this.save(entries.filter(item => item.id !== entry.id));
+      } else {
+        stored.nextAttemptAt = Date.now() + this.getBackoffDelay(stored.attempts);
+        this.save(entries);
       }
+
+      if (delivered) {
+        queueLogger.info('Queued submission delivered', { id: entry.id });
+        this.onDelivered(entry, this.size());
+      }
+    }
+
+    scheduleRetry() {
+      clearTimeout(this.retryTimeout);
+
+      const entries = this.load();
+      if (!entries.length) return;
+
+      const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+      const delay = Math.max(nextAttemptAt - Date.now(), 0);
+
+      this.retryTimeout = setTimeout(() => this.flush(), delay);
+      queueLogger.debug(`Next retry in ${Math.round(delay / 1000)}s`);
     }
   }
 
   /**
-   * Button Morphing Interactions and Smooth Scroll Behavior
-   * Handles CTA button states and smooth scrolling for navigation
+   * Form Draft Autosave
+   * Keeps in-progress form values in sessionStorage and offers to restore
+   * them on the next load until the draft expires
    */
-  class ButtonMorphing {
-    constructor() {
-      this.buttons = [];
-      this.buttonStates = new WeakMap();
+  const DEFAULT_DRAFT_TTL_MINUTES = 30;
+
+  const draftLogger = createLogger('FormDraft');
+
+  class FormDraft {
+    constructor(contactForm, options = {}) {
+      this.contactForm = contactForm;
+      this.form = contactForm.form;
+      this.storageKey = options.storageKey || 'fintech:contact-draft';
+      this.ttl = (Number(options.ttlMinutes || this.form.dataset.draftTtl) || DEFAULT_DRAFT_TTL_MINUTES) * 60000;
+      this.banner = document.getElementById('form-draft');
+      this.saveTimeout = null;
+      this.pendingDraft = null;
+
+      if (this.isAvailable()) {
+        this.init();
+      }
+    }
+
+    init() {
+      this.form.addEventListener('input', () => this.handleInput());
+      this.form.addEventListener('change', () => this.handleInput());
+
+      if (this.banner) {
+        this.banner.querySelector('[data-draft-action="restore"]')?.addEventListener('click', () => this.restore());
+        this.banner.querySelector('[data-draft-action="discard"]')?.addEventListener('click', () => this.discard());
+        i18n.onChange(() => this.renderPrompt());
+      }
+
+      this.offerRestore();
+    }
+
+    isAvailable() {
+      try {
+        const probeKey = `${this.storageKey}:probe`;
+        window.sessionStorage.setItem(probeKey, '1');
+        window.sessionStorage.removeItem(probeKey);
+        return true;
+      } catch (error) {
+        draftLogger.warn('sessionStorage unavailable, autosave disabled');
+        return false;
+      }
+    }
+
+    getDraftableFields() {
+      const fields = this.contactForm.fields;
+      return Object.keys(fields).filter(fieldName => {
+        const field = fields[fieldName];
+        return !field.hasAttribute('data-draft-exclude') && field.type !== 'password' && field.type !== 'hidden';
+      });
+    }
+
+    getDefaultValue(field) {
+      if (field.type === 'checkbox') {
+        return field.defaultChecked;
+      }
+      if (field.type === 'radio') {
+        const defaultOption = Array.from(this.form.querySelectorAll(`input[type="radio"][name="${field.name}"]`))
+          .find(option => option.defaultChecked);
+        return defaultOption ? defaultOption.value : '';
+      }
+      if (field.tagName === 'SELECT') {
+        const defaultOption = Array.from(field.options).find(option => option.defaultSelected) || field.options[0];
+        return defaultOption ? defaultOption.value : '';
+      }
+      return field.defaultValue.trim();
+    }
+
+    collectValues() {
+      const values = {};
+
+      this.getDraftableFields().forEach(fieldName => {
+        const value = this.contactForm.getFieldValue(fieldName);
+        if (value !== this.getDefaultValue(this.contactForm.fields[fieldName])) {
+          values[fieldName] = value;
+        }
+      });
+
+      return values;
+    }
+
+    hasContent(values) {
+      return Object.keys(values).length > 0;
+    }
+
+    load() {
+      try {
+        const draft = JSON.parse(window.sessionStorage.getItem(this.storageKey));
+        if (!draft || !draft.values) return null;
+
+        if (Date.now() - draft.savedAt > this.ttl) {
+          draftLogger.debug('Stored draft expired');
+          this.clear();
+          return null;
+        }
+        return draft;
+      } catch (error) {
+        draftLogger.warn('Unable to read stored draft', error);
+        return null;
+      }
+    }
+
+    handleInput() {
+      if (this.pendingDraft) {
+        draftLogger.debug('New input received, replacing stored draft');
+        this.pendingDraft = null;
+        this.hideBanner();
+      }
+
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = setTimeout(() => this.save(), 400);
+    }
+
+    save() {
+      const values = this.collectValues();
+
+      try {
+        if (this.hasContent(values)) {
+          window.sessionStorage.setItem(this.storageKey, JSON.stringify({ savedAt: Date.now(), values }));
+        } else {
+          window.sessionStorage.removeItem(this.storageKey);
+        }
+      } catch (error) {
+        draftLogger.warn('Unable to save draft', error);
+      }
+    }
+
+    clear() {
+      clearTimeout(this.saveTimeout);
+      this.pendingDraft = null;
+      this.hideBanner();
+
+      try {
+        window.sessionStorage.removeItem(this.storageKey);
+      } catch (error) {
+        draftLogger.warn('Unable to clear draft', error);
+      }
+    }
+
+    offerRestore() {
+      const draft = this.load();
+      if (!draft || !this.hasContent(draft.values)) return;
+
+      this.pendingDraft = draft;
+      draftLogger.debug('Draft found, offering restore');
+
+      if (!this.banner) {
+        this.restore();
+        return;
+      }
+
+      this.renderPrompt();
+      this.banner.hidden = false;
+    }
+
+    renderPrompt() {
+      const prompt = this.banner && this.banner.querySelector('[data-draft-prompt]');
+      if (!prompt || !this.pendingDraft) return;
+
+      const minutesAgo = Math.round((this.pendingDraft.savedAt - Date.now()) / 60000);
+      const time = new Intl.RelativeTimeFormat(i18n.locale, { numeric: 'auto' }).format(minutesAgo, 'minute');
+      prompt.textContent = i18n.t('draft.prompt', { time });
+    }
+
+    restore() {
+      const draft = this.pendingDraft;
+      if (!draft) return;
+
+      this.pendingDraft = null;
+      this.hideBanner();
+
+      Object.keys(draft.values).forEach(fieldName => {
+        const field = this.contactForm.fields[fieldName];
+        if (!field || field.hasAttribute('data-draft-exclude')) return;
+
+        const value = draft.values[fieldName];
+        if (field.type === 'checkbox') {
+          field.checked = Boolean(value);
+        } else if (field.type === 'radio') {
+          const option = this.form.querySelector(`input[type="radio"][name="${field.name}"][value="${CSS.escape(String(value))}"]`);
+          if (option) option.checked = true;
+        } else {
+          field.value = value;
+        }
+
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+
+      draftLogger.debug('Draft restored');
+    }
+
+    discard() {
+      draftLogger.debug('Draft discarded');
+      this.clear();
+    }
+
+    hideBanner() {
+      if (this.banner) {
+        this.banner.hidden = true;
+      }
+    }
+  }
+
+  /**
+   * Spam Protection
+   * Self-contained bot checks: a honeypot field, a minimum time between render
+   * and submit, a per-browser submission rate limit and an optional SHA-256
+   * proof-of-work token that the backend can verify. Each token is bound to
+   * one submissionId and issue time, or to a challenge fetched from
+   * data-proof-of-work-endpoint, and solving starts on first interaction.
+   */
+  const DEFAULT_MIN_SUBMIT_SECONDS = 3;
+  const DEFAULT_RATE_LIMIT_MAX = 3;
+  const DEFAULT_RATE_LIMIT_WINDOW_SECONDS = 600;
+
+  function countLeadingZeroBits(bytes) {
+    let bits = 0;
+
+    for (const byte of bytes) {
+      if (byte === 0) {
+        bits += 8;
+        continue;
+      }
+      bits += Math.clz32(byte) - 24;
+      break;
+    }
+
+    return bits;
+  }
+
+  function toNonNegativeNumber(value, fallback) {
+    const number = value === undefined || value === null || value === '' ? NaN : Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+  }
+
+  const spamLogger = createLogger('SpamGuard');
+
+  class SpamGuard {
+    constructor(form, options = {}) {
+      const dataset = form.dataset;
+
+      this.form = form;
+      this.honeypot = form.querySelector('[data-honeypot]');
+      this.renderedAt = Date.now();
+      this.minSubmitMs = toNonNegativeNumber(options.minSubmitSeconds ?? dataset.minSubmitSeconds, DEFAULT_MIN_SUBMIT_SECONDS) * 1000;
+      this.rateLimitMax = Number(options.rateLimitMax ?? dataset.rateLimitMax) || DEFAULT_RATE_LIMIT_MAX;
+      this.rateLimitWindowMs = (Number(options.rateLimitWindow ?? dataset.rateLimitWindow) || DEFAULT_RATE_LIMIT_WINDOW_SECONDS) * 1000;
+      this.difficulty = Number(options.proofOfWork ?? dataset.proofOfWork) || 0;
+      this.challengeEndpoint = options.challengeEndpoint || dataset.proofOfWorkEndpoint || '';
+      this.storageKey = options.storageKey || 'fintech:contact-submissions';
+      this.pending = null;
+
+      // A reset form is a fresh render: the next submission is timed from here
+      form.addEventListener('reset', () => {
+        this.renderedAt = Date.now();
+      });
+
+      if (this.difficulty > 0) {
+        this.prepareOnInteraction();
+      }
+
+      spamLogger.debug('Initialized', {
+        honeypot: Boolean(this.honeypot),
+        minSubmitMs: this.minSubmitMs,
+        proofOfWorkBits: this.difficulty
+      });
+    }
+
+    check() {
+      if (this.honeypot && this.honeypot.value.trim() !== '') {
+        return { reason: 'honeypot', message: i18n.t('spam.honeypot') };
+      }
+
+      if (Date.now() - this.renderedAt < this.minSubmitMs) {
+        return { reason: 'tooFast', message: i18n.t('spam.tooFast') };
+      }
+
+      const recent = this.getRecentSubmissions();
+      if (recent.length >= this.rateLimitMax) {
+        const retryAt = recent[0] + this.rateLimitWindowMs;
+        const minutes = Math.max(1, Math.ceil((retryAt - Date.now()) / 60000));
+        return { reason: 'rateLimited', message: i18n.t('spam.rateLimited', { minutes }) };
+      }
+
+      return null;
+    }
+
+    getRecentSubmissions() {
+      try {
+        const stored = JSON.parse(window.localStorage.getItem(this.storageKey)) || [];
+        const windowStart = Date.now() - this.rateLimitWindowMs;
+        return stored.filter(timestamp => timestamp > windowStart).sort((a, b) => a - b);
+      } catch (error) {
+        return [];
+      }
+    }
+
+    recordSubmission() {
+      try {
+        const recent = this.getRecentSubmissions();
+        recent.push(Date.now());
+        window.localStorage.setItem(this.storageKey, JSON.stringify(recent));
+      } catch (error) {
+        spamLogger.warn('Unable to record submission for rate limiting', error);
+      }
+    }
+
+    prepareOnInteraction() {
+      const prepare = () => {
+        this.form.removeEventListener('focusin', prepare);
+        this.form.removeEventListener('input', prepare);
+        this.prepare();
+      };
+
+      this.form.addEventListener('focusin', prepare);
+      this.form.addEventListener('input', prepare);
+    }
+
+    prepare() {
+      if (this.difficulty <= 0 || this.pending) return this.pending;
+
+      const submissionId = generateSubmissionId();
+      const solving = this.solveChallenge(submissionId).catch((error) => {
+        spamLogger.warn('Proof-of-work failed, submitting without it', error);
+        return null;
+      });
+
+      this.pending = { submissionId, solving };
+      return this.pending;
+    }
+
+    async takeToken() {
+      const pending = this.prepare();
+      if (!pending) {
+        return { submissionId: generateSubmissionId() };
+      }
+
+      this.pending = null;
+      this.prepareOnInteraction();
+
+      const proofOfWork = await pending.solving;
+      return proofOfWork ? { submissionId: pending.submissionId, proofOfWork } : { submissionId: pending.submissionId };
+    }
+
+    async renewToken(submissionId) {
+      if (this.difficulty <= 0) return {};
+
+      try {
+        const proofOfWork = await this.solveChallenge(submissionId);
+        return proofOfWork ? { proofOfWork } : {};
+      } catch (error) {
+        spamLogger.warn('Proof-of-work failed, retrying without it', error);
+        return {};
+      }
+    }
+
+    async fetchChallenge(submissionId) {
+      const url = new URL(this.challengeEndpoint, window.location.href);
+      url.searchParams.set('submissionId', submissionId);
+
+      const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (!data || typeof data.challenge !== 'string') {
+        throw new Error('Challenge response is missing "challenge"');
+      }
+      return data;
+    }
+
+    async createChallenge(submissionId) {
+      if (this.challengeEndpoint) {
+        try {
+          const issued = await this.fetchChallenge(submissionId);
+          return { challenge: issued.challenge, difficulty: Number(issued.difficulty) || this.difficulty };
+        } catch (error) {
+          spamLogger.warn('Unable to fetch proof-of-work challenge, using a local one', error);
+        }
+      }
+
+      const randomBytes = window.crypto.getRandomValues(new Uint8Array(16));
+      const issuedAt = new Date().toISOString();
+      const salt = Array.from(randomBytes, byte => byte.toString(16).padStart(2, '0')).join('');
+      return { challenge: `${submissionId}:${issuedAt}:${salt}`, difficulty: this.difficulty, issuedAt };
+    }
+
+    async solveChallenge(submissionId) {
+      if (!window.crypto || !window.crypto.subtle) {
+        spamLogger.warn('Web Crypto unavailable, skipping proof-of-work');
+        return null;
+      }
+
+      const { challenge, difficulty, issuedAt } = await this.createChallenge(submissionId);
+      const encoder = new TextEncoder();
+      const startedAt = performance.now();
+
+      for (let nonce = 0; ; nonce++) {
+        const digest = await window.crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+
+        if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+          spamLogger.debug(`Proof-of-work solved in ${Math.round(performance.now() - startedAt)}ms`, { nonce });
+          return { algorithm: 'SHA-256', difficulty, challenge, nonce, ...(issuedAt ? { issuedAt } : {}) };
+        }
+
+        if (nonce % 500 === 0) {
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+    }
+  }
+
+  /**
+   * Landing Attribution
+   * Captures allow-listed campaign parameters, the external referrer and the
+   * landing path on arrival, keeping the first and latest touch for the
+   * session so they can travel with contact form submissions
+   */
+  const attributionLogger = createLogger('Attribution');
+
+  const ATTRIBUTION_STORAGE_KEY = 'fintech:attribution';
+
+  const DEFAULT_ATTRIBUTION_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+  class AttributionTracker {
+    constructor(options = {}) {
+      this.storageKey = options.storageKey || ATTRIBUTION_STORAGE_KEY;
+      this.allowedParams = options.allowedParams || null;
+      this.record = null;
+    }
+
+    getAllowedParams() {
+      if (this.allowedParams) return this.allowedParams;
+
+      const meta = document.querySelector('meta[name="attribution-params"]');
+      const configured = meta ? meta.content.split(/[\s,]+/).filter(Boolean) : [];
+      return configured.length ? configured : DEFAULT_ATTRIBUTION_PARAMS;
+    }
+
+    capture() {
+      this.record = this.readRecord();
+
+      const touch = this.buildTouch();
+      const isAttributed = Object.keys(touch.params).length > 0 || touch.referrer !== null;
+
+      if (!this.record) {
+        this.record = { firstTouch: touch, lastTouch: touch };
+      } else if (isAttributed) {
+        this.record.lastTouch = touch;
+      } else {
+        attributionLogger.debug('No new campaign or referrer, keeping existing touches');
+        return this.record;
+      }
+
+      try {
+        window.sessionStorage.setItem(this.storageKey, JSON.stringify(this.record));
+      } catch (error) {
+        attributionLogger.warn('Unable to persist attribution, it applies to this page view only', error);
+      }
+
+      attributionLogger.debug('Touch captured', { params: Object.keys(touch.params), referrer: touch.referrer });
+      return this.record;
+    }
+
+    buildTouch() {
+      const searchParams = new URLSearchParams(window.location.search);
+      const params = {};
+
+      this.getAllowedParams().forEach(name => {
+        const value = searchParams.get(name);
+        if (value) {
+          params[name] = value.slice(0, 200);
+        }
+      });
+
+      return {
+        params,
+        referrer: this.getExternalReferrer(),
+        landingPath: window.location.pathname,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    getExternalReferrer() {
+      if (!document.referrer) return null;
+
+      try {
+        const referrer = new URL(document.referrer);
+        if (referrer.origin === window.location.origin) return null;
+        return `${referrer.origin}${referrer.pathname}`;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    readRecord() {
+      try {
+        const record = JSON.parse(window.sessionStorage.getItem(this.storageKey));
+        return record && record.firstTouch && record.lastTouch ? record : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    getRecord() {
+      const record = this.record || this.readRecord();
+      return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+  }
+
+  const attribution = new AttributionTracker();
+
+  function generateSubmissionId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Async Field Validators
+   * Validators receive the field value and a context ({ field, contactForm,
+   * signal, endpoint }) and resolve to true, or to an error message string.
+   * Fields opt in through data-validate-async="name another-name".
+   */
+  const DEFAULT_LOOKUP_TIMEOUT = 5000;
+
+  const BUSINESS_INQUIRY_TYPES = ['sales', 'partnership'];
+
+  const FREE_MAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+    'msn.com', 'aol.com', 'icloud.com', 'me.com', 'proton.me', 'protonmail.com',
+    'gmx.com', 'gmx.net', 'mail.com', 'yandex.com', 'zoho.com'
+  ];
+
+  const DISPOSABLE_EMAIL_DOMAINS = [
+    'mailinator.com', 'guerrillamail.com', '10minutemail.com', 'tempmail.com', 'temp-mail.org',
+    'yopmail.com', 'trashmail.com', 'sharklasers.com', 'getnada.com', 'dispostable.com',
+    'maildrop.cc', 'throwawaymail.com'
+  ];
+
+  const UNROUTABLE_TLDS = ['invalid', 'test', 'example', 'localhost', 'local'];
+
+  const asyncValidatorRegistry = new Map();
+
+  function getEmailDomain(email) {
+    const atIndex = email.lastIndexOf('@');
+    return atIndex > -1 ? email.slice(atIndex + 1).toLowerCase() : '';
+  }
+
+  function isBusinessInquiry(contactForm) {
+    return BUSINESS_INQUIRY_TYPES.includes(contactForm.getFieldValue('inquiryType'));
+  }
+
+  function mockDomainLookup(domain, signal) {
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        const tld = domain.split('.').pop();
+        const wellFormed = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain);
+        resolve({ valid: wellFormed && !UNROUTABLE_TLDS.includes(tld) });
+      }, 600);
+
+      signal.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        reject(new DOMException('Lookup aborted', 'AbortError'));
+      }, { once: true });
+    });
+  }
+
+  async function fetchDomainLookup(endpoint, domain, signal) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), DEFAULT_LOOKUP_TIMEOUT);
+    signal.addEventListener('abort', () => controller.abort(), { once: true });
+
+    try {
+      const separator = endpoint.includes('?') ? '&' : '?';
+      const response = await fetch(`${endpoint}${separator}domain=${encodeURIComponent(domain)}`, {
+        headers: { 'Accept': 'application/json' },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Domain lookup failed with status ${response.status}`);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  asyncValidatorRegistry.set('business-email', async (value, context) => {
+    const domain = getEmailDomain(value);
+    if (!domain) return true;
+
+    if (DISPOSABLE_EMAIL_DOMAINS.includes(domain)) {
+      return i18n.t('validation.businessEmail.disposable');
+    }
+
+    if (FREE_MAIL_DOMAINS.includes(domain) && isBusinessInquiry(context.contactForm)) {
+      return i18n.t('validation.businessEmail.freeMail');
+    }
+
+    return true;
+  });
+
+  asyncValidatorRegistry.set('email-domain', async (value, context) => {
+    const domain = getEmailDomain(value);
+    if (!domain || !context.endpoint) return true;
+
+    const result = context.endpoint === 'mock'
+      ? await mockDomainLookup(domain, context.signal)
+      : await fetchDomainLookup(context.endpoint, domain, context.signal);
+
+    return result.valid ? true : (result.message || i18n.t('validation.emailDomain.unverified', { domain }));
+  });
+
+  asyncValidatorRegistry.set('business-company', async (value, context) => {
+    if (!value && isBusinessInquiry(context.contactForm)) {
+      return i18n.t('validation.businessCompany.required');
+    }
+    return true;
+  });
+
+  /**
+   * International Phone Input
+   * Country-aware parsing, as-you-type formatting and E.164 normalization.
+   * Lengths refer to the national significant number (without trunk prefix).
+   */
+  const PHONE_COUNTRIES = [
+    { code: 'US', name: 'United States', dialCode: '1', minLength: 10, maxLength: 10, format: '(XXX) XXX-XXXX' },
+    { code: 'CA', name: 'Canada', dialCode: '1', minLength: 10, maxLength: 10, format: '(XXX) XXX-XXXX' },
+    { code: 'GB', name: 'United Kingdom', dialCode: '44', trunkPrefix: '0', minLength: 9, maxLength: 10, format: 'XXXX XXXXXX' },
+    { code: 'IE', name: 'Ireland', dialCode: '353', trunkPrefix: '0', minLength: 7, maxLength: 9, format: 'XX XXX XXXX' },
+    { code: 'DE', name: 'Germany', dialCode: '49', trunkPrefix: '0', minLength: 6, maxLength: 11, format: 'XXX XXXXXXXX' },
+    { code: 'FR', name: 'France', dialCode: '33', trunkPrefix: '0', minLength: 9, maxLength: 9, format: 'X XX XX XX XX' },
+    { code: 'ES', name: 'Spain', dialCode: '34', minLength: 9, maxLength: 9, format: 'XXX XX XX XX' },
+    { code: 'IT', name: 'Italy', dialCode: '39', minLength: 6, maxLength: 11, format: 'XXX XXX XXXX' },
+    { code: 'NL', name: 'Netherlands', dialCode: '31', trunkPrefix: '0', minLength: 9, maxLength: 9, format: 'XX XXX XXXX' },
+    { code: 'CH', name: 'Switzerland', dialCode: '41', trunkPrefix: '0', minLength: 9, maxLength: 9, format: 'XX XXX XX XX' },
+    { code: 'AE', name: 'United Arab Emirates', dialCode: '971', trunkPrefix: '0', minLength: 8, maxLength: 9, format: 'XX XXX XXXX' },
+    { code: 'IN', name: 'India', dialCode: '91', trunkPrefix: '0', minLength: 10, maxLength: 10, format: 'XXXXX XXXXX' },
+    { code: 'SG', name: 'Singapore', dialCode: '65', minLength: 8, maxLength: 8, format: 'XXXX XXXX' },
+    { code: 'JP', name: 'Japan', dialCode: '81', trunkPrefix: '0', minLength: 9, maxLength: 10, format: 'XX XXXX XXXX' },
+    { code: 'AU', name: 'Australia', dialCode: '61', trunkPrefix: '0', minLength: 9, maxLength: 9, format: 'X XXXX XXXX' },
+    { code: 'BR', name: 'Brazil', dialCode: '55', trunkPrefix: '0', minLength: 10, maxLength: 11, format: 'XX XXXXX XXXX' },
+    { code: 'MX', name: 'Mexico', dialCode: '52', minLength: 10, maxLength: 10, format: 'XX XXXX XXXX' },
+    { code: 'NG', name: 'Nigeria', dialCode: '234', trunkPrefix: '0', minLength: 8, maxLength: 10, format: 'XXX XXX XXXX' },
+    { code: 'ZA', name: 'South Africa', dialCode: '27', trunkPrefix: '0', minLength: 9, maxLength: 9, format: 'XX XXX XXXX' }
+  ];
+
+  const PHONE_ALLOWED_CHARACTERS = /^\+?[\d\s().\-/]+$/;
+
+  function getPhoneCountry(code) {
+    return PHONE_COUNTRIES.find(country => country.code === code) || null;
+  }
+
+  function groupDigits(digits, pattern) {
+    let result = '';
+    let index = 0;
+
+    for (const character of pattern) {
+      if (index >= digits.length) break;
+      result += character === 'X' ? digits[index++] : character;
+    }
+
+    return result + digits.slice(index);
+  }
+
+  const phoneLogger = createLogger('PhoneInput');
+
+  class PhoneInput {
+    constructor(input, countrySelect) {
+      this.input = input;
+      this.countrySelect = countrySelect;
+      this.country = getPhoneCountry(this.inferCountryCode());
+
+      this.init();
+    }
+
+    init() {
+      if (this.countrySelect) {
+        this.populateCountries();
+        this.countrySelect.addEventListener('change', () => {
+          this.country = getPhoneCountry(this.countrySelect.value) || this.country;
+          this.reformat();
+        });
+      }
+
+      this.input.addEventListener('input', (e) => {
+        if (!e.inputType || !e.inputType.startsWith('delete')) {
+          this.reformat();
+        }
+      });
+      this.input.addEventListener('blur', () => this.reformat());
+
+      if (this.input.form) {
+        this.input.form.addEventListener('reset', () => {
+          this.country = getPhoneCountry(this.inferCountryCode());
+        });
+      }
+
+      phoneLogger.debug('Initialized', { country: this.country.code });
+    }
+
+    inferCountryCode() {
+      const preferred = (this.input.dataset.defaultCountry || '').toUpperCase();
+      if (getPhoneCountry(preferred)) {
+        return preferred;
+      }
+
+      const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+      for (const language of languages) {
+        const region = (language || '').split('-')[1];
+        if (region && getPhoneCountry(region.toUpperCase())) {
+          return region.toUpperCase();
+        }
+      }
+
+      return 'US';
+    }
+
+    populateCountries() {
+      if (!this.countrySelect.options.length) {
+        PHONE_COUNTRIES.forEach(country => {
+          const option = document.createElement('option');
+          option.value = country.code;
+          option.textContent = `${i18n.getRegionName(country.code, country.name)} (+${country.dialCode})`;
+          this.countrySelect.appendChild(option);
+        });
+      }
+
+      Array.from(this.countrySelect.options).forEach(option => {
+        option.defaultSelected = option.value === this.country.code;
+      });
+      this.countrySelect.value = this.country.code;
+    }
+
+    findCountryByDialCode(digits) {
+      const matches = PHONE_COUNTRIES
+        .filter(country => digits.startsWith(country.dialCode))
+        .sort((a, b) => b.dialCode.length - a.dialCode.length);
+
+      if (!matches.length) return null;
+
+      const longest = matches.filter(country => country.dialCode === matches[0].dialCode);
+      return longest.find(country => country.code === this.country.code) || longest[0];
+    }
+
+    parse(value = this.input.value) {
+      const trimmed = value.trim();
+      let digits = trimmed.replace(/\D/g, '');
+      let international = trimmed.startsWith('+') || trimmed.startsWith('00');
+
+      if (trimmed.startsWith('00')) {
+        digits = digits.slice(2);
+      }
+
+      if (!international && !this.country.trunkPrefix &&
+          digits.length === this.country.dialCode.length + this.country.maxLength &&
+          digits.startsWith(this.country.dialCode)) {
+        international = true;
+      }
+
+      const country = international ? this.findCountryByDialCode(digits) : this.country;
+      if (!country) {
+        return { country: null, international, nationalNumber: digits, hasTrunkPrefix: false };
+      }
+
+      let nationalNumber = international ? digits.slice(country.dialCode.length) : digits;
+      const hasTrunkPrefix = Boolean(country.trunkPrefix && nationalNumber.startsWith(country.trunkPrefix));
+      if (hasTrunkPrefix) {
+        nationalNumber = nationalNumber.slice(country.trunkPrefix.length);
+      }
+
+      return { country, international, nationalNumber, hasTrunkPrefix };
+    }
+
+    format(value = this.input.value) {
+      const parsed = this.parse(value);
+      if (!parsed.country || !parsed.nationalNumber) {
+        return value;
+      }
+
+      const grouped = groupDigits(parsed.nationalNumber, parsed.country.format);
+
+      if (parsed.international) {
+        return `+${parsed.country.dialCode} ${grouped}`;
+      }
+      return parsed.hasTrunkPrefix ? `${parsed.country.trunkPrefix}${grouped}` : grouped;
+    }
+
+    reformat() {
+      const value = this.input.value;
+      if (!value.trim() || !PHONE_ALLOWED_CHARACTERS.test(value.trim())) return;
+
+      const parsed = this.parse(value);
+      if (parsed.international && parsed.country && parsed.country !== this.country) {
+        this.country = parsed.country;
+        if (this.countrySelect) {
+          this.countrySelect.value = parsed.country.code;
+        }
+      }
+
+      const formatted = this.format(value);
+      if (formatted === value) return;
+
+      const caret = this.input.selectionStart === null ? value.length : this.input.selectionStart;
+      const digitsBeforeCaret = value.slice(0, caret).replace(/[^\d+]/g, '').length;
+
+      this.input.value = formatted;
+
+      if (document.activeElement === this.input) {
+        let position = 0;
+        let seen = 0;
+        while (position < formatted.length && seen < digitsBeforeCaret) {
+          if (/[\d+]/.test(formatted[position])) seen += 1;
+          position += 1;
+        }
+        this.input.setSelectionRange(position, position);
+      }
+    }
+
+    validate() {
+      const value = this.input.value.trim();
+      if (!value) {
+        return { valid: true };
+      }
+
+      if (!PHONE_ALLOWED_CHARACTERS.test(value)) {
+        return { valid: false, message: i18n.t('phone.invalidCharacters') };
+      }
+
+      const parsed = this.parse(value);
+      if (!parsed.country) {
+        return { valid: false, message: i18n.t('phone.invalidCountryCode') };
+      }
+
+      const { code, minLength, maxLength, name } = parsed.country;
+      const length = parsed.nationalNumber.length;
+      if (length < minLength || length > maxLength) {
+        return {
+          valid: false,
+          message: i18n.t('phone.invalidLength', {
+            country: i18n.getRegionName(code, name),
+            digits: minLength === maxLength ? `${minLength}` : `${minLength}-${maxLength}`
+          })
+        };
+      }
+
+      return { valid: true };
+    }
+
+    toE164() {
+      const parsed = this.parse();
+      if (!parsed.country || !this.validate().valid) {
+        return '';
+      }
+      return `+${parsed.country.dialCode}${parsed.nationalNumber}`;
+    }
+  }
+
+  const wizardLogger = createLogger('FormWizard');
+
+  /**
+   * Multi-Step Form Wizard
+   * Shows one [data-step] fieldset at a time with a progress indicator,
+   * per-step validation and focus management
+   */
+  class FormWizard {
+    constructor(contactForm) {
+      this.contactForm = contactForm;
+      this.form = contactForm.form;
+      this.steps = Array.from(this.form.querySelectorAll('[data-step]'));
+      this.currentIndex = 0;
+      this.isAdvancing = false;
+
+      this.init();
+    }
+
+    init() {
+      this.form.classList.add('is-wizard');
+      this.renderProgress();
+      this.renderNavigation();
+
+      this.form.addEventListener('keydown', (e) => this.handleKeydown(e));
+      this.form.addEventListener('reset', () => this.goToStep(0, { focus: false }));
+      i18n.onChange(() => this.relabel());
+
+      this.goToStep(0, { focus: false });
+      wizardLogger.debug(`Initialized with ${this.steps.length} steps`);
+    }
+
+    getStepTitle(step) {
+      const legend = step.querySelector('legend');
+      return step.dataset.stepTitle || (legend ? legend.textContent.trim() : '');
+    }
+
+    renderProgress() {
+      this.progress = document.createElement('ol');
+      this.progress.className = 'wizard-progress';
+      this.progress.setAttribute('aria-label', i18n.t('wizard.progressLabel'));
+
+      this.progressItems = this.steps.map((step, index) => {
+        const item = document.createElement('li');
+        item.className = 'wizard-progress-step';
+
+        const number = document.createElement('span');
+        number.className = 'wizard-progress-index';
+        number.setAttribute('aria-hidden', 'true');
+        number.textContent = String(index + 1);
+
+        const title = document.createElement('span');
+        title.className = 'wizard-progress-title';
+        title.textContent = this.getStepTitle(step);
+
+        item.append(number, title);
+        this.progress.appendChild(item);
+        return item;
+      });
+
+      this.status = document.createElement('p');
+      this.status.className = 'sr-only';
+      this.status.setAttribute('aria-live', 'polite');
+
+      this.form.insertBefore(this.progress, this.steps[0]);
+      this.form.insertBefore(this.status, this.steps[0]);
+    }
+
+    relabel() {
+      this.progress.setAttribute('aria-label', i18n.t('wizard.progressLabel'));
+      this.setNavLabel(this.backButton, i18n.t('wizard.back'));
+      this.setNavLabel(this.nextButton, i18n.t('wizard.next'));
+    }
+
+    setNavLabel(button, label) {
+      if (this.contactForm.buttonMorphing) {
+        this.contactForm.buttonMorphing.setLabel(button, label);
+      } else {
+        button.querySelector('.button-text').textContent = label;
+      }
+    }
+
+    createNavButton(variant, label) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `cta-button ${variant}`;
+
+      const text = document.createElement('span');
+      text.className = 'button-text';
+      text.textContent = label;
+
+      button.appendChild(text);
+
+      if (this.contactForm.buttonMorphing) {
+        this.contactForm.buttonMorphing.addButton(button);
+      }
+      return button;
+    }
+
+    renderNavigation() {
+      this.navigation = document.createElement('div');
+      this.navigation.className = 'wizard-nav';
+
+      this.backButton = this.createNavButton('secondary', i18n.t('wizard.back'));
+      this.nextButton = this.createNavButton('primary', i18n.t('wizard.next'));
+      this.backButton.addEventListener('click', () => this.back());
+      this.nextButton.addEventListener('click', () => this.next());
+
+      this.navigation.append(this.backButton, this.nextButton);
+
+      const submitButton = this.contactForm.submitButton;
+      if (submitButton) {
+        submitButton.parentNode.insertBefore(this.navigation, submitButton);
+      } else {
+        this.form.appendChild(this.navigation);
+      }
+    }
+
+    isLastStep() {
+      return this.currentIndex === this.steps.length - 1;
+    }
+
+    goToStep(index, { focus = true } = {}) {
+      const step = this.steps[index];
+      if (!step) return;
+
+      this.currentIndex = index;
+
+      this.steps.forEach((candidate, candidateIndex) => {
+        candidate.hidden = candidateIndex !== index;
+      });
+
+      this.progressItems.forEach((item, itemIndex) => {
+        item.classList.toggle('is-complete', itemIndex < index);
+        item.classList.toggle('is-current', itemIndex === index);
+        if (itemIndex === index) {
+          item.setAttribute('aria-current', 'step');
+        } else {
+          item.removeAttribute('aria-current');
+        }
+      });
+
+      this.backButton.hidden = index === 0;
+      this.nextButton.hidden = this.isLastStep();
+      if (this.contactForm.submitButton) {
+        this.contactForm.submitButton.hidden = !this.isLastStep();
+      }
+
+      this.status.textContent = i18n.t('wizard.status', {
+        current: index + 1,
+        total: this.steps.length,
+        title: this.getStepTitle(step)
+      });
+
+      if (focus) {
+        this.focusStep(step);
+      }
+
+      wizardLogger.debug(`Showing step ${index + 1} of ${this.steps.length}`);
+    }
+
+    focusStep(step) {
+      const firstField = Array.from(step.querySelectorAll('input, select, textarea'))
+        .find(field => !field.disabled && !field.closest('[hidden]'));
+
+      if (firstField) {
+        firstField.focus();
+      }
+    }
+
+    async validateStep(index) {
+      const step = this.steps[index];
+      const fieldNames = Object.keys(this.contactForm.validationRules)
+        .filter(fieldName => step.contains(this.contactForm.fields[fieldName]));
+
+      const results = await Promise.all(
+        fieldNames.map(fieldName => this.contactForm.validateFieldAsync(fieldName))
+      );
+
+      return results.every(Boolean);
+    }
+
+    async next() {
+      if (this.isAdvancing || this.isLastStep()) return;
+
+      this.isAdvancing = true;
+      try {
+        if (await this.validateStep(this.currentIndex)) {
+          this.goToStep(this.currentIndex + 1);
+        } else {
+          wizardLogger.debug(`Step ${this.currentIndex + 1} has validation errors`);
+          this.contactForm.focusFirstError();
+        }
+      } finally {
+        this.isAdvancing = false;
+      }
+    }
+
+    back() {
+      if (this.currentIndex > 0) {
+        this.goToStep(this.currentIndex - 1);
+      }
+    }
+
+    showStepContaining(element) {
+      const index = this.steps.findIndex(step => step.contains(element));
+      if (index > -1 && index !== this.currentIndex) {
+        this.goToStep(index, { focus: false });
+      }
+    }
+
+    handleKeydown(e) {
+      if (e.key !== 'Enter' || this.isLastStep()) return;
+
+      const target = e.target;
+      const advancesOnEnter = target.matches('input, select') &&
+        !['checkbox', 'radio', 'submit', 'button'].includes(target.type);
+
+      if (advancesOnEnter) {
+        e.preventDefault();
+        this.next();
+      }
+    }
+  }
+
+  const formLogger = createLogger('ContactForm');
+
+  class ContactForm {
+    static registerValidator(name, validator) {
+      if (typeof validator !== 'function') {
+        throw new TypeError(`ContactForm: Validator "${name}" must be a function`);
+      }
+      asyncValidatorRegistry.set(name, validator);
+    }
+
+    static registerTransport(name, handler) {
+      if (typeof handler !== 'function') {
+        throw new TypeError(`ContactForm: Transport "${name}" must be a function`);
+      }
+      transportRegistry.set(name, handler);
+    }
+
+    constructor(formElement, options = {}) {
+      if (!formElement) {
+        formLogger.error('Form element not provided');
+        return;
+      }
+
+      this.form = formElement;
+      this.state = FormState.IDLE;
+      this.fields = this.discoverFields();
+      this.phoneInputs = this.setupPhoneInputs();
+      this.submitButton = this.form.querySelector('button[type="submit"]');
+      this.stateContainers = {
+        loading: document.getElementById('form-loading'),
+        success: document.getElementById('form-success'),
+        queued: document.getElementById('form-queued'),
+        error: document.getElementById('form-error')
+      };
+      this.transportConfig = this.resolveTransportConfig(options);
+      this.validationEndpoint = options.validationEndpoint || this.form.dataset.validationEndpoint || '';
+      this.pendingValidations = {};
+      this.asyncValidationCache = new Map();
+      this.isValidatingSubmission = false;
+      this.queue = options.queue === false ? null : new SubmissionQueue({
+        ...options.queue,
+        send: (formData) => this.getTransport()(formData, this.transportConfig),
+        refresh: (formData) => this.refreshQueuedSubmission(formData),
+        onDelivered: (entry, remaining) => this.handleQueuedDelivery(remaining)
+      });
+      this.draftOptions = options.draft;
+      this.buttonMorphing = options.buttonMorphing || null;
+      this.spamGuard = options.spam === false ? null : new SpamGuard(this.form, options.spam);
+
+      this.validationRules = this.buildValidationRules();
+      this.wizard = this.form.hasAttribute('data-wizard') && this.form.querySelectorAll('[data-step]').length > 1
+        ? new FormWizard(this)
+        : null;
+
+      this.init();
+    }
+
+    discoverFields() {
+      const fields = {};
+
+      Array.from(this.form.querySelectorAll('input, select, textarea')).forEach(element => {
+        if (!element.name || NON_DATA_INPUT_TYPES.includes(element.type) || element.hasAttribute('data-honeypot')) return;
+
+        const fieldName = toCamelCase(element.name);
+        if (!fields[fieldName]) {
+          fields[fieldName] = element;
+        }
+      });
+
+      formLogger.debug(`Discovered ${Object.keys(fields).length} fields`, Object.keys(fields));
+      return fields;
+    }
+
+    prefill(values) {
+      Object.keys(values).forEach(fieldName => {
+        const field = this.fields[fieldName];
+        if (!field) {
+          formLogger.warn(`Cannot prefill unknown field "${fieldName}"`);
+          return;
+        }
+
+        if (field.type === 'checkbox') {
+          field.checked = Boolean(values[fieldName]);
+        } else {
+          field.value = values[fieldName];
+        }
+
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+
+      formLogger.debug('Form prefilled', Object.keys(values));
+      dispatchLifecycleEvent(this.form, 'contactform:prefilled', { fields: Object.keys(values) });
+    }
+
+    setupPhoneInputs() {
+      const phoneInputs = {};
+
+      Object.keys(this.fields).forEach(fieldName => {
+        const field = this.fields[fieldName];
+        if (field.type !== 'tel') return;
+
+        const selector = field.dataset.countrySelect;
+        const countrySelect = selector ? this.form.querySelector(selector) : null;
+        phoneInputs[fieldName] = new PhoneInput(field, countrySelect);
+      });
+
+      return phoneInputs;
+    }
+
+    buildValidationRules() {
+      const validationRules = {};
+
+      Object.keys(this.fields).forEach(fieldName => {
+        const rules = this.parseValidationRules(this.fields[fieldName]);
+        if (rules) {
+          validationRules[fieldName] = rules;
+        }
+      });
+
+      return validationRules;
+    }
+
+    parseValidationRules(field) {
+      const dataset = field.dataset;
+      const rules = {
+        required: field.hasAttribute('required'),
+        minLength: parseInt(field.getAttribute('minlength'), 10) || null,
+        maxLength: parseInt(field.getAttribute('maxlength'), 10) || null,
+        typePattern: TYPE_PATTERNS[field.type] || null,
+        phone: field.type === 'tel',
+        pattern: null,
+        asyncValidators: (dataset.validateAsync || '').split(/\s+/).filter(Boolean),
+        dependsOn: (dataset.validateDepends || '').split(/\s+/).filter(Boolean).map(toCamelCase),
+        messages: {
+          required: dataset.validateRequired,
+          minLength: dataset.validateMinlength,
+          maxLength: dataset.validateMaxlength,
+          type: dataset.validateType,
+          pattern: dataset.validatePattern,
+          default: dataset.validateMessage
+        }
+      };
+
+      const pattern = field.getAttribute('pattern');
+      if (pattern) {
+        try {
+          rules.pattern = new RegExp(`^(?:${pattern})$`, 'u');
+        } catch (error) {
+          formLogger.warn(`Ignoring invalid pattern on "${field.name}"`, error);
+        }
+      }
+
+      const hasRules = rules.required || rules.minLength || rules.maxLength || rules.typePattern ||
+        rules.phone || rules.pattern || rules.asyncValidators.length > 0;
+      return hasRules ? rules : null;
+    }
+
+    getRuleMessage(fieldName, rules, rule, fallback) {
+      return rules.messages[rule] || rules.messages.default ||
+        i18n.lookup(`validation.fields.${fieldName}.${rule}`) ||
+        i18n.lookup(`validation.fields.${fieldName}`) ||
+        fallback;
+    }
+
+    resolveTransportConfig(options) {
+      const dataset = this.form.dataset;
+      const endpoint = options.endpoint || dataset.endpoint || this.form.getAttribute('action') || '';
+      const timeout = Number(options.timeout || dataset.timeout) || DEFAULT_SUBMIT_TIMEOUT;
+      const transport = options.transport || dataset.transport || 'fetch';
+
+      return { transport, endpoint, timeout };
+    }
+
+    getTransport() {
+      const { transport } = this.transportConfig;
+
+      if (typeof transport === 'function') {
+        return transport;
+      }
+
+      const handler = transportRegistry.get(transport);
+      if (!handler) {
+        throw new SubmissionError('config', `Unknown transport "${transport}"`);
+      }
+      return handler;
+    }
+
+    init() {
+      formLogger.debug('Initializing form validation');
+      this.bindEvents();
+      this.setupAccessibility();
+      this.updateConditionalFields();
+      this.restoreQueue();
+      this.draft = this.draftOptions === false ? null : new FormDraft(this, this.draftOptions);
+      dispatchLifecycleEvent(this.form, 'contactform:ready', { form: this });
+    }
+
+    isFieldActive(fieldName) {
+      const field = this.fields[fieldName];
+      return Boolean(field) && !field.closest('[data-show-when][hidden]');
+    }
+
+    updateConditionalFields() {
+      this.form.querySelectorAll('[data-show-when]').forEach(container => {
+        const [controlName, expected = ''] = container.dataset.showWhen.split('=');
+        const value = this.getFieldValue(toCamelCase(controlName.trim()));
+        const isVisible = expected.split('|').map(option => option.trim()).includes(String(value));
+
+        if (container.hidden === !isVisible) return;
+        container.hidden = !isVisible;
+
+        if (!isVisible) {
+          Object.keys(this.fields)
+            .filter(fieldName => container.contains(this.fields[fieldName]))
+            .forEach(fieldName => {
+              this.cancelPendingValidation(fieldName);
+              this.clearFieldError(fieldName);
+            });
+        }
+      });
+    }
+
+    restoreQueue() {
+      if (!this.queue || !this.queue.size()) return;
+
+      formLogger.debug(`${this.queue.size()} queued submission(s) found`);
+      this.setState(FormState.QUEUED);
+      this.showQueuedMessage();
+      this.queue.flush();
+    }
+
+    bindEvents() {
+      this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+      Object.keys(this.fields).forEach(fieldName => {
+        const field = this.fields[fieldName];
+        if (field) {
+          field.addEventListener('blur', () => this.validateFieldAsync(fieldName));
+          field.addEventListener('input', () => {
+            this.cancelPendingValidation(fieldName);
+            this.clearFieldError(fieldName);
+          });
+          field.addEventListener('change', () => {
+            this.updateConditionalFields();
+            this.revalidateDependents(fieldName);
+          });
+
+          if (field.type === 'email') {
+            field.addEventListener('input', () => this.debounceValidation(fieldName));
+          }
+        }
+      });
+
+      formLogger.debug('Event listeners attached');
+    }
+
+    setupAccessibility() {
+      Object.keys(this.fields).forEach(fieldName => {
+        const field = this.fields[fieldName];
+        if (field) {
+          field.setAttribute('aria-invalid', 'false');
+        }
+      });
+    }
+
+    validateField(fieldName) {
+      const field = this.fields[fieldName];
+      const rules = this.validationRules[fieldName];
+
+      if (!field || !rules) {
+        return true;
+      }
+
+      if (!this.isFieldActive(fieldName)) {
+        this.clearFieldError(fieldName);
+        return true;
+      }
+
+      const value = this.getFieldValue(fieldName);
+      const errorElement = this.getErrorElement(fieldName);
+
+      if (rules.required && !value) {
+        this.showFieldError(field, errorElement, this.getRuleMessage(fieldName, rules, 'required', i18n.t('validation.required')));
+        return false;
+      }
+
+      if (value) {
+        if (rules.minLength && value.length < rules.minLength) {
+          this.showFieldError(field, errorElement, this.getRuleMessage(fieldName, rules, 'minLength', i18n.t('validation.minLength', rules)));
+          return false;
+        }
+
+        if (rules.maxLength && value.length > rules.maxLength) {
+          this.showFieldError(field, errorElement, this.getRuleMessage(fieldName, rules, 'maxLength', i18n.t('validation.maxLength', rules)));
+          return false;
+        }
+
+        if (rules.typePattern && !rules.typePattern.test(value)) {
+          this.showFieldError(field, errorElement, this.getRuleMessage(fieldName, rules, 'type', i18n.t('validation.type')));
+          return false;
+        }
+
+        if (rules.phone && this.phoneInputs[fieldName]) {
+          const result = this.phoneInputs[fieldName].validate();
+          if (!result.valid) {
+            this.showFieldError(field, errorElement, this.getRuleMessage(fieldName, rules, 'type', result.message));
+            return false;
+          }
+        }
+
+        if (rules.pattern && !rules.pattern.test(value)) {
+          this.showFieldError(field, errorElement, this.getRuleMessage(fieldName, rules, 'pattern', i18n.t('validation.pattern')));
+          return false;
+        }
+      }
+
+      this.clearFieldError(fieldName);
+      this.markFieldValid(field);
+      return true;
+    }
+
+    validateFieldAsync(fieldName) {
+      this.cancelPendingValidation(fieldName);
+
+      if (!this.validateField(fieldName)) {
+        return Promise.resolve(false);
+      }
+
+      const rules = this.validationRules[fieldName];
+      if (!rules || !rules.asyncValidators.length || !this.isFieldActive(fieldName)) {
+        return Promise.resolve(true);
+      }
+
+      const controller = new AbortController();
+      const promise = this.runAsyncValidators(fieldName, rules, controller.signal);
+      this.pendingValidations[fieldName] = { controller, promise };
+      this.updateValidatingState();
+
+      return promise;
+    }
+
+    async runAsyncValidators(fieldName, rules, signal) {
+      const field = this.fields[fieldName];
+      const value = this.getFieldValue(fieldName);
+      let message = null;
+
+      this.showFieldValidating(field);
+
+      for (const validatorName of rules.asyncValidators) {
+        const result = await this.runAsyncValidator(validatorName, field, value, rules, signal);
+        if (signal.aborted) break;
+
+        if (result !== true) {
+          message = field.dataset[toCamelCase(`validate-${validatorName}`)] || result;
+          break;
+        }
+      }
+
+      if (signal.aborted) {
+        const superseding = this.pendingValidations[fieldName];
+        return superseding ? superseding.promise : false;
+      }
+
+      delete this.pendingValidations[fieldName];
+      this.hideFieldValidating(field);
+      this.updateValidatingState();
+
+      if (message) {
+        this.showFieldError(field, this.getErrorElement(fieldName), message);
+        return false;
+      }
+
+      this.markFieldValid(field);
+      return true;
+    }
+
+    async runAsyncValidator(validatorName, field, value, rules, signal) {
+      const validator = asyncValidatorRegistry.get(validatorName);
+      if (!validator) {
+        formLogger.warn(`Unknown async validator "${validatorName}"`);
+        return true;
+      }
+
+      const dependencyValues = rules.dependsOn.map(name => this.getFieldValue(name));
+      const cacheKey = JSON.stringify([validatorName, value, dependencyValues]);
+      if (this.asyncValidationCache.has(cacheKey)) {
+        return this.asyncValidationCache.get(cacheKey);
+      }
+
+      let result;
+      try {
+        result = await validator(value, {
+          field,
+          contactForm: this,
+          signal,
+          endpoint: this.validationEndpoint
+        });
+      } catch (error) {
+        if (!signal.aborted) {
+          formLogger.warn(`Async validator "${validatorName}" failed, skipping`, error);
+        }
+        return true;
+      }
+
+      const normalized = result === false
+        ? this.getRuleMessage(toCamelCase(field.name), rules, 'async', i18n.t('validation.async'))
+        : (typeof result === 'string' ? result : true);
+
+      this.asyncValidationCache.set(cacheKey, normalized);
+      return normalized;
+    }
+
+    cancelPendingValidation(fieldName) {
+      const pending = this.pendingValidations[fieldName];
+      if (!pending) return;
+
+      delete this.pendingValidations[fieldName];
+      pending.controller.abort();
+      this.hideFieldValidating(this.fields[fieldName]);
+      this.updateValidatingState();
+    }
+
+    updateValidatingState() {
+      const hasPending = Object.keys(this.pendingValidations).length > 0;
+
+      if (hasPending && (this.state === FormState.IDLE || this.state === FormState.ERROR)) {
+        this.setState(FormState.VALIDATING);
+      } else if (!hasPending && this.state === FormState.VALIDATING) {
+        this.setState(FormState.IDLE);
+      }
+    }
+
+    revalidateDependents(fieldName) {
+      Object.keys(this.validationRules).forEach(dependentName => {
+        const rules = this.validationRules[dependentName];
+        const dependent = this.fields[dependentName];
+
+        if (rules.dependsOn.includes(fieldName) && dependent &&
+            (dependent.classList.contains('validated') || dependent.classList.contains('error'))) {
+          this.validateFieldAsync(dependentName);
+        }
+      });
+    }
+
+    showFieldValidating(field) {
+      if (!field) return;
+
+      field.classList.remove('success');
+      field.classList.add('validating');
+      field.setAttribute('aria-busy', 'true');
+    }
+
+    hideFieldValidating(field) {
+      if (!field) return;
+
+      field.classList.remove('validating');
+      field.removeAttribute('aria-busy');
+    }
+
+    getErrorElement(fieldName) {
+      const field = this.fields[fieldName];
+      if (!field) return null;
+
+      const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      const errorElement = describedBy
+        .map(id => document.getElementById(id))
+        .find(element => element && element.classList.contains('error'));
+
+      return errorElement || (field.id ? this.form.querySelector(`#${field.id}-error`) : null);
+    }
+
+    showFieldError(field, errorElement, message) {
+      if (!field) return;
+
+      if (field.getAttribute('aria-invalid') !== 'true') {
+        analytics.publish('form_field_error', { formId: this.form.id || null, field: field.name }, field);
+      }
+
+      field.classList.add('error');
+      field.classList.remove('success');
+      field.setAttribute('aria-invalid', 'true');
+
+      if (errorElement) {
+        errorElement.textContent = message;
+        errorElement.style.display = 'block';
+      }
+
+      formLogger.debug(`Validation error - ${field.name}: ${message}`);
+    }
+
+    clearFieldError(fieldName) {
+      const field = this.fields[fieldName];
+      if (!field) return;
+
+      const errorElement = this.getErrorElement(fieldName);
+
+      field.classList.remove('error');
+      field.setAttribute('aria-invalid', 'false');
+
+      if (errorElement) {
+        errorElement.textContent = '';
+        errorElement.style.display = 'none';
+      }
+    }
+
+    markFieldValid(field) {
+      if (!field) return;
+
+      field.classList.remove('error');
+      field.classList.add('success', 'validated');
+      field.setAttribute('aria-invalid', 'false');
+    }
+
+    debounceValidation(fieldName) {
+      if (this.validationTimeout) {
+        clearTimeout(this.validationTimeout);
+      }
+
+      this.validationTimeout = setTimeout(() => {
+        const field = this.fields[fieldName];
+        if (field && field.value.trim()) {
+          this.validateFieldAsync(fieldName);
+        }
+      }, 500);
+    }
+
+    async validateAllFields() {
+      formLogger.debug('Validating all fields');
+
+      const results = await Promise.all(
+        Object.keys(this.validationRules).map(fieldName => this.validateFieldAsync(fieldName))
+      );
+
+      return results.every(Boolean);
+    }
+
+    async handleSubmit(e) {
+      e.preventDefault();
+
+      formLogger.debug('Form submission initiated');
+
+      if (this.state === FormState.SUBMITTING || this.isValidatingSubmission) {
+        formLogger.debug('Already submitting, ignoring duplicate submission');
+        return;
+      }
+
+      if (this.wizard && !this.wizard.isLastStep()) {
+        this.wizard.next();
+        return;
+      }
+
+      this.isValidatingSubmission = true;
+      let isValid;
+      try {
+        isValid = await this.validateAllFields();
+      } finally {
+        this.isValidatingSubmission = false;
+      }
+
+      if (!isValid) {
+        formLogger.debug('Validation failed');
+        analytics.publish('form_validation_failed', {
+          formId: this.form.id || null,
+          invalidFields: Object.keys(this.fields).filter(name => this.fields[name].getAttribute('aria-invalid') === 'true')
+        }, this.form);
+        this.focusFirstError();
+        return;
+      }
+
+      const rejection = this.spamGuard ? this.spamGuard.check() : null;
+      if (rejection) {
+        formLogger.warn('Submission rejected by spam protection', { reason: rejection.reason });
+        analytics.publish('form_spam_rejected', { formId: this.form.id || null, reason: rejection.reason }, this.form);
+        this.setState(FormState.ERROR);
+        this.showErrorMessage(rejection.message);
+        return;
+      }
+
+      try {
+        await this.runSubmission();
+      } catch (error) {
+        formLogger.error('Submission error:', error);
+        this.setState(FormState.ERROR);
+        this.showErrorMessage(i18n.t('form.unexpectedError'));
+      }
+    }
+
+    runSubmission() {
+      if (!this.buttonMorphing || !this.submitButton) {
+        return this.submitForm();
+      }
+
+      return this.buttonMorphing.runAction(this.submitButton, async () => {
+        await this.submitForm();
+        if (this.state === FormState.QUEUED) return null;
+        return this.state !== FormState.ERROR;
+      });
+    }
+
+    async submitForm() {
+      this.setState(FormState.SUBMITTING);
+      this.disableForm();
+      this.hideAllStateMessages();
+      this.showLoadingState();
+
+      formLogger.debug('Submitting form data');
+
+      const token = this.spamGuard ? await this.spamGuard.takeToken() : {};
+      const formData = { ...this.getFormData(), ...token };
+      formLogger.debug('Form data collected', formData);
+
+      try {
+        if (navigator.onLine === false && this.canQueue()) {
+          this.queueSubmission(formData);
+          return;
+        }
+
+        const transport = this.getTransport();
+        const response = await transport(formData, this.transportConfig);
+
+        if (!response.success && isRetryableStatus(response.status) && this.canQueue()) {
+          formLogger.warn('Retryable server error, queueing submission', { status: response.status });
+          this.queueSubmission(formData, 'form.queuedServerError');
+        } else if (response.success) {
+          formLogger.info('Submission successful');
+          this.recordSubmission();
+          this.setState(FormState.SUCCESS);
+          this.showSuccessMessage();
+          dispatchLifecycleEvent(this.form, 'contactform:submitted', this.getSubmissionSummary(formData));
+          this.clearDraft();
+          this.resetForm();
+        } else {
+          formLogger.error('Submission failed', { status: response.status, error: response.error });
+          this.setState(FormState.ERROR);
+          this.applyServerFieldErrors(response.fieldErrors);
+          this.showErrorMessage(response.error || getHttpErrorMessage(response.status));
+        }
+      } catch (error) {
+        formLogger.error('Transport error', error);
+
+        if (isRetryableError(error) && this.canQueue()) {
+          this.queueSubmission(formData);
+        } else {
+          this.setState(FormState.ERROR);
+          this.showErrorMessage(this.getTransportErrorMessage(error));
+        }
+      } finally {
+        this.hideLoadingState();
+        this.enableForm();
+      }
+
+      if (this.state === FormState.ERROR) {
+        this.focusFirstError();
+      }
+    }
+
+    clearDraft() {
+      if (this.draft) {
+        this.draft.clear();
+      }
+    }
+
+    canQueue() {
+      return Boolean(this.queue && this.queue.isAvailable());
+    }
+
+    recordSubmission() {
+      if (this.spamGuard) {
+        this.spamGuard.recordSubmission();
+      }
+    }
+
+    async refreshQueuedSubmission(formData) {
+      if (!this.spamGuard) return formData;
+
+      return { ...formData, ...(await this.spamGuard.renewToken(formData.submissionId)) };
+    }
+
+    queueSubmission(formData, messageKey = 'form.queued') {
+      // Proof-of-work tokens expire, so each retry solves a fresh one
+      const { proofOfWork, ...queuedData } = formData;
+      this.queue.enqueue(queuedData);
+      this.recordSubmission();
+      this.clearDraft();
+      this.resetForm();
+      this.setState(FormState.QUEUED);
+      this.showQueuedMessage(messageKey);
+      dispatchLifecycleEvent(this.form, 'contactform:queued', this.getSubmissionSummary(formData));
+    }
+
+    getSubmissionSummary(formData) {
+      return { submissionId: formData.submissionId, inquiryType: formData.inquiryType || null };
+    }
+
+    handleQueuedDelivery(remaining) {
+      if (remaining > 0 || this.state !== FormState.QUEUED) return;
+
+      this.setState(FormState.IDLE);
+      this.hideAllStateMessages();
+      this.showSuccessMessage();
+      dispatchLifecycleEvent(this.form, 'contactform:delivered');
+    }
+
+    getTransportErrorMessage(error) {
+      if (error instanceof SubmissionError) {
+        if (error.type === 'timeout') {
+          return i18n.t('form.timeout');
+        }
+        if (error.type === 'config') {
+          return i18n.t('form.misconfigured');
+        }
+      }
+      return i18n.t('form.networkError');
+    }
+
+    applyServerFieldErrors(fieldErrors) {
+      if (!fieldErrors) return;
+
+      const entries = Array.isArray(fieldErrors)
+        ? fieldErrors.map(entry => [entry.field, entry.message])
+        : Object.entries(fieldErrors);
+
+      entries.forEach(([key, message]) => {
+        const fieldName = toCamelCase(key);
+        const field = this.fields[fieldName];
+
+        if (!field) {
+          formLogger.warn(`Server returned error for unknown field "${key}"`);
+          return;
+        }
+
+        this.showFieldError(field, this.getErrorElement(fieldName), Array.isArray(message) ? message[0] : message);
+      });
+    }
+
+    getFieldValue(fieldName) {
+      const field = this.fields[fieldName];
+      if (!field) return '';
+
+      if (field.type === 'checkbox') {
+        return field.checked;
+      }
+
+      if (field.type === 'radio') {
+        const group = this.form.elements.namedItem(field.name);
+        return group ? group.value : '';
+      }
+
+      return field.value.trim();
+    }
+
+    getFormData() {
+      const formData = {};
+
+      Object.keys(this.fields)
+        .filter(fieldName => this.isFieldActive(fieldName))
+        .forEach(fieldName => {
+          formData[fieldName] = this.getFieldValue(fieldName);
+        });
+
+      Object.keys(this.phoneInputs).forEach(fieldName => {
+        if (formData[fieldName]) {
+          formData[fieldName] = this.phoneInputs[fieldName].toE164() || formData[fieldName];
+        }
+      });
+
+      formData.consentRecord = consent.getRecord();
+      formData.attribution = attribution.getRecord();
+
+      formData.submissionId = generateSubmissionId();
+      formData.timestamp = new Date().toISOString();
+      return formData;
+    }
+
+    setState(newState) {
+      formLogger.debug(`State change ${this.state} -> ${newState}`);
+      const previousState = this.state;
+      this.state = newState;
+
+      if (previousState !== newState) {
+        analytics.publish('form_state_change', { formId: this.form.id || null, from: previousState, to: newState }, this.form);
+        dispatchLifecycleEvent(this.form, 'contactform:statechange', { from: previousState, to: newState });
+      }
+    }
+
+    disableForm() {
+      Object.values(this.fields).forEach(field => {
+        if (field) {
+          field.disabled = true;
+        }
+      });
+
+      if (this.submitButton && !this.buttonMorphing) {
+        this.submitButton.disabled = true;
+        this.submitButton.setAttribute('aria-busy', 'true');
+      }
+    }
+
+    enableForm() {
+      Object.values(this.fields).forEach(field => {
+        if (field) {
+          field.disabled = false;
+        }
+      });
+
+      if (this.submitButton && !this.buttonMorphing) {
+        this.submitButton.disabled = false;
+        this.submitButton.setAttribute('aria-busy', 'false');
+      }
+    }
+
+    showLoadingState() {
+      if (this.stateContainers.loading) {
+        this.stateContainers.loading.style.display = 'flex';
+      }
+    }
+
+    hideLoadingState() {
+      if (this.stateContainers.loading) {
+        this.stateContainers.loading.style.display = 'none';
+      }
+    }
+
+    showSuccessMessage() {
+      if (this.stateContainers.success) {
+        this.stateContainers.success.style.display = 'flex';
+
+        setTimeout(() => {
+          if (this.stateContainers.success) {
+            this.stateContainers.success.style.display = 'none';
+          }
+        }, 8000);
+      }
+    }
+
+    showErrorMessage(message) {
+      dispatchLifecycleEvent(this.form, 'contactform:error', { message });
+
+      if (this.stateContainers.error) {
+        const messageElement = this.stateContainers.error.querySelector('span:last-child');
+        if (messageElement) {
+          messageElement.textContent = message;
+        }
+        this.stateContainers.error.style.display = 'flex';
+
+        setTimeout(() => {
+          if (this.stateContainers.error) {
+            this.stateContainers.error.style.display = 'none';
+          }
+        }, 8000);
+      }
+    }
+
+    showQueuedMessage(messageKey = 'form.queued') {
+      const container = this.stateContainers.queued;
+      if (!container) return;
+
+      const message = container.querySelector('[data-i18n]');
+      if (message) {
+        message.dataset.i18n = messageKey;
+        message.textContent = i18n.t(messageKey);
+      }
+      container.style.display = 'flex';
+    }
+
+    hideAllStateMessages() {
+      Object.values(this.stateContainers).forEach(container => {
+        if (container) {
+          container.style.display = 'none';
+        }
+      });
+    }
+
+    resetForm() {
+      formLogger.debug('Resetting form');
+
+      this.form.reset();
+
+      Object.keys(this.fields).forEach(fieldName => {
+        this.cancelPendingValidation(fieldName);
+
+        const field = this.fields[fieldName];
+        if (field) {
+          field.classList.remove('error', 'success', 'validated');
+          field.setAttribute('aria-invalid', 'false');
+        }
+        this.clearFieldError(fieldName);
+      });
+
+      this.updateConditionalFields();
+      this.setState(FormState.IDLE);
+    }
+
+    focusFirstError() {
+      const firstErrorField = this.form.querySelector('[aria-invalid="true"]');
+      if (firstErrorField) {
+        if (this.wizard) {
+          this.wizard.showStepContaining(firstErrorField);
+        }
+        firstErrorField.focus();
+        formLogger.debug('Focused first error field');
+      }
+    }
+  }
+
+  const revealLogger = createLogger('ScrollReveal');
+
+  const REVEAL_VARIANT_CLASSES = {
+    fade: 'reveal-fade',
+    'slide-up': null,
+    'slide-left': 'reveal-from-left',
+    'slide-right': 'reveal-from-right',
+    scale: 'reveal-scale'
+  };
+
+  // Upper bound for a reveal transition, after which a stagger delay is
+  // cleared even if transitionend never fires
+  const REVEAL_TRANSITION_FALLBACK = 1000;
+
+  /**
+   * Scroll-Triggered Reveal Animation with Intersection Observer
+   * Implements staggered animations for sections as they enter viewport.
+   * Per element, [data-reveal] takes a variant (fade, slide-up, slide-left,
+   * slide-right, scale), data-reveal-delay a delay in ms,
+   * data-reveal-threshold its own visibility threshold and
+   * data-reveal-replay re-runs the animation on every re-entry. A
+   * data-reveal-stagger container reveals its children one after another.
+   * Elements added to the page later are picked up automatically.
+   */
+  class ScrollReveal {
+    constructor(options = {}) {
+      this.elements = [];
+      this.revealCallbacks = new Map();
+      this.observers = new Map();
+      this.tracked = new WeakSet();
+      this.announced = new WeakSet();
+      this.observerOptions = {
+        root: null,
+        rootMargin: options.rootMargin || '0px 0px -100px 0px',
+        threshold: options.threshold ?? 0.15
+      };
+
+      this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+      revealLogger.debug('Initialization started', {
+        reducedMotion: this.reducedMotion,
+        observerSupported: 'IntersectionObserver' in window
+      });
+
+      this.init();
+    }
+
+    init() {
+      if (this.reducedMotion) {
+        revealLogger.debug('Reduced motion preferred, skipping animations');
+        this.revealAllImmediately();
+        return;
+      }
+
+      if (!('IntersectionObserver' in window)) {
+        revealLogger.warn('IntersectionObserver not supported, revealing all elements');
+        this.revealAllImmediately();
+        return;
+      }
+
+      this.setupObserver();
+      this.observeElements();
+      this.watchMutations();
+      revealLogger.debug('Initialization complete');
+    }
+
+    setupObserver() {
+      this.observer = this.getObserver(this.observerOptions.threshold);
+    }
+
+    getObserver(threshold) {
+      if (this.observers.has(threshold)) {
+        return this.observers.get(threshold);
+      }
+
+      const observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => this.handleEntry(entry, observer));
+      }, { ...this.observerOptions, threshold });
+
+      this.observers.set(threshold, observer);
+      return observer;
+    }
+
+    handleEntry(entry, observer) {
+      const element = entry.target;
+      const callback = this.revealCallbacks.get(element);
+
+      if (callback) {
+        if (!entry.isIntersecting) return;
+        this.revealCallbacks.delete(element);
+        observer.unobserve(element);
+        callback(element);
+        return;
+      }
+
+      const replay = element.hasAttribute('data-reveal-replay');
+
+      if (entry.isIntersecting) {
+        this.revealElement(element);
+        if (!replay) {
+          observer.unobserve(element);
+        }
+      } else if (replay && this.announced.has(element)) {
+        this.hideElement(element);
+      }
+    }
+
+    getVariantClass(element) {
+      const variant = element.dataset.reveal || element.dataset.revealVariant || '';
+      if (!variant) return null;
+
+      if (!(variant in REVEAL_VARIANT_CLASSES)) {
+        revealLogger.warn(`Unknown reveal variant "${variant}"`);
+        return null;
+      }
+      return REVEAL_VARIANT_CLASSES[variant];
+    }
+
+    getTargets(element) {
+      if (!element.hasAttribute('data-reveal-stagger')) {
+        return [element];
+      }
+      return Array.from(element.children);
+    }
+
+    prepareElement(element) {
+      const variantClass = this.getVariantClass(element);
+
+      this.getTargets(element).forEach((target) => {
+        if (target !== element) {
+          target.classList.add('reveal-child');
+        }
+        if (variantClass) {
+          target.classList.add(variantClass);
+        }
+        target.classList.add('hidden');
+      });
+    }
+
+    parseThreshold(element) {
+      const threshold = parseFloat(element.dataset.revealThreshold);
+      return Number.isFinite(threshold) && threshold >= 0 && threshold <= 1
+        ? threshold
+        : this.observerOptions.threshold;
+    }
+
+    observeElements() {
+      this.elements = Array.from(document.querySelectorAll('[data-reveal], [data-reveal-stagger]'));
+
+      revealLogger.debug(`Found ${this.elements.length} elements to observe`);
+
+      this.elements.forEach((element) => {
+        this.observeElement(element);
+      });
+    }
+
+    watchMutations() {
+      if (!('MutationObserver' in window) || !document.body) return;
+
+      this.mutationObserver = new MutationObserver((mutations) => {
+        mutations.forEach((mutation) => {
+          mutation.addedNodes.forEach((node) => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            if (node.matches('[data-reveal], [data-reveal-stagger]')) {
+              this.observeElement(node);
+            }
+            node.querySelectorAll('[data-reveal], [data-reveal-stagger]').forEach(element => this.observeElement(element));
+          });
+        });
+      });
+
+      this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    observe(element, callback) {
+      if (!this.observer) {
+        return false;
+      }
+
+      this.revealCallbacks.set(element, callback);
+      this.observer.observe(element);
+      return true;
+    }
+
+    observeElement(element) {
+      if (this.tracked.has(element)) return;
+      this.tracked.add(element);
+
+      if (!this.observer) {
+        this.revealElement(element);
+        return;
+      }
+
+      this.prepareElement(element);
+      this.getObserver(this.parseThreshold(element)).observe(element);
+    }
+
+    getDelay(element) {
+      const delay = parseInt(element.dataset.revealDelay, 10);
+      return Number.isFinite(delay) && delay > 0 ? delay : 0;
+    }
+
+    revealElement(element) {
+      const delay = this.getDelay(element);
+      const stagger = parseInt(element.dataset.revealStagger, 10) || 0;
+
+      requestAnimationFrame(() => {
+        this.getTargets(element).forEach((target, index) => {
+          const targetDelay = delay + index * stagger;
+          if (targetDelay > 0) {
+            target.style.transitionDelay = `${targetDelay}ms`;
+            this.clearDelayAfterReveal(target, targetDelay);
+          }
+          target.classList.remove('hidden');
+          target.classList.add('revealed');
+        });
+
+        revealLogger.debug('Element revealed', {
+          tag: element.tagName,
+          class: element.className
+        });
+
+        const replay = this.announced.has(element);
+        dispatchLifecycleEvent(element, 'scrollreveal:reveal', { replay });
+
+        if (replay) return;
+        this.announced.add(element);
+
+        analytics.publish('section_reveal', {
+          tag: element.tagName.toLowerCase(),
+          className: element.className
+        }, element);
+      });
+    }
+
+    clearDelayAfterReveal(target, delay) {
+      let timer = null;
+
+      const clear = (e) => {
+        if (e && e.target !== target) return;
+
+        clearTimeout(timer);
+        target.removeEventListener('transitionend', clear);
+        target.removeEventListener('transitioncancel', clear);
+        target.style.transitionDelay = '';
+      };
+
+      target.addEventListener('transitionend', clear);
+      target.addEventListener('transitioncancel', clear);
+      timer = setTimeout(clear, delay + REVEAL_TRANSITION_FALLBACK);
+    }
+
+    hideElement(element) {
+      this.getTargets(element).forEach((target) => {
+        target.style.transitionDelay = '';
+        target.classList.remove('revealed');
+        target.classList.add('hidden');
+      });
+
+      revealLogger.debug('Element hidden for replay', { tag: element.tagName });
+    }
+
+    revealAllImmediately() {
+      const elements = document.querySelectorAll('[data-reveal], [data-reveal-stagger] > *');
+      elements.forEach((element) => {
+        element.classList.add('revealed');
+        element.style.opacity = '1';
+        element.style.transform = 'translateY(0)';
+      });
+      revealLogger.debug(`Revealed ${elements.length} elements immediately`);
+    }
+
+    destroy() {
+      this.observers.forEach(observer => observer.disconnect());
+      this.observers.clear();
+
+      if (this.mutationObserver) {
+        this.mutationObserver.disconnect();
+      }
+
+      revealLogger.debug('Observers disconnected');
+    }
+  }
+
+  /**
+   * Statistic Count-Up
+   * Parses .stat-number values such as "$8.5B+" or "99.99%" and counts them up
+   * with Intl.NumberFormat when they scroll into view through ScrollReveal
+   */
+  const statLogger = createLogger('StatCounter');
+
+  const STAT_COUNT_DURATION = 1500;
+
+  const STAT_PATTERN = /^([^\d\s]*)\s*(\d+(?:\.\d+)?)\s*([KMB]?)(%?)(\+?)$/i;
+
+  const STAT_MAGNITUDES = { '': 1, K: 1e3, M: 1e6, B: 1e9 };
+
+  const STAT_CURRENCIES = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+
+  function parseStatValue(text) {
+    const match = STAT_PATTERN.exec(String(text).trim());
+    if (!match) return null;
+
+    const [, prefix, number, magnitude, percent, plus] = match;
+    const unit = magnitude.toUpperCase();
+
+    return {
+      value: parseFloat(number) * STAT_MAGNITUDES[unit],
+      decimals: (number.split('.')[1] || '').length,
+      currency: STAT_CURRENCIES[prefix] || null,
+      prefix: STAT_CURRENCIES[prefix] ? '' : prefix,
+      compact: unit !== '',
+      percent: percent === '%',
+      plus: plus === '+'
+    };
+  }
+
+  function createStatFormatter(stat, locale) {
+    const options = {
+      minimumFractionDigits: stat.decimals,
+      maximumFractionDigits: stat.decimals
+    };
+
+    if (stat.currency) {
+      Object.assign(options, { style: 'currency', currency: stat.currency, currencyDisplay: 'narrowSymbol' });
+    }
+    if (stat.compact) {
+      Object.assign(options, { notation: 'compact', minimumFractionDigits: 0 });
+    }
+    if (stat.percent) {
+      options.style = 'percent';
+    }
+
+    const formatter = new Intl.NumberFormat(locale, options);
+
+    return (value) => {
+      const formatted = formatter.format(stat.percent ? value / 100 : value);
+      return `${stat.prefix}${formatted}${stat.plus ? '+' : ''}`;
+    };
+  }
+
+  /**
+   * Statistics Feed
+   * Binds [data-stat] elements by key and hydrates them from inline JSON
+   * (#stats-data) and the endpoint in <meta name="stats-feed">. Feed values are
+   * cached in localStorage; when the feed is unavailable the stale cache or the
+   * first authored value for each key is used, so every section agrees.
+   */
+  const statsFeedLogger = createLogger('StatsFeed');
+
+  const STATS_STORAGE_KEY = 'fintech:stats';
+
+  const DEFAULT_STATS_CACHE_TTL = 60 * 60 * 1000;
+
+  const DEFAULT_STATS_TIMEOUT = 5000;
+
+  function normalizeStatValues(data) {
+    const source = data && typeof data.stats === 'object' ? data.stats : data;
+    const values = {};
+
+    if (!source || typeof source !== 'object') {
+      return values;
+    }
+
+    Object.keys(source).forEach(key => {
+      const value = source[key];
+      if (typeof value === 'string' || typeof value === 'number') {
+        values[key] = String(value).trim();
+      }
+    });
+
+    return values;
+  }
+
+  class StatsFeed {
+    constructor(options = {}) {
+      const meta = document.querySelector('meta[name="stats-feed"]');
+
+      this.source = options.source || (meta && meta.content) || null;
+      this.storageKey = options.storageKey || STATS_STORAGE_KEY;
+      this.cacheTtl = options.cacheTtl || DEFAULT_STATS_CACHE_TTL;
+      this.timeout = options.timeout || DEFAULT_STATS_TIMEOUT;
+      this.markupValues = this.readMarkup();
+    }
+
+    readMarkup() {
+      const values = {};
+
+      document.querySelectorAll('[data-stat]').forEach(element => {
+        const key = element.dataset.stat;
+        if (!(key in values)) {
+          values[key] = element.textContent.trim();
+        }
+      });
+
+      return values;
+    }
+
+    readInline() {
+      const script = document.getElementById('stats-data');
+      if (!script) return {};
+
+      try {
+        return normalizeStatValues(JSON.parse(script.textContent));
+      } catch (error) {
+        statsFeedLogger.warn('Ignoring malformed inline statistics JSON', error);
+        return {};
+      }
+    }
+
+    readCache(allowStale = false) {
+      try {
+        const cached = JSON.parse(window.localStorage.getItem(this.storageKey));
+        if (!cached || !cached.values) return null;
+
+        const isFresh = Date.now() - cached.fetchedAt < this.cacheTtl;
+        return isFresh || allowStale ? cached.values : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    writeCache(values) {
+      try {
+        window.localStorage.setItem(this.storageKey, JSON.stringify({ fetchedAt: Date.now(), values }));
+      } catch (error) {
+        statsFeedLogger.warn('Unable to cache statistics', error);
+      }
+    }
+
+    getInitialValues() {
+      return { ...this.markupValues, ...this.readInline(), ...(this.readCache() || {}) };
+    }
+
+    async load() {
+      if (!this.source) {
+        return null;
+      }
+
+      const cached = this.readCache();
+      if (cached) {
+        statsFeedLogger.debug('Using cached statistics');
+        return cached;
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+      try {
+        const response = await fetch(this.source, {
+          headers: { 'Accept': 'application/json' },
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        const values = normalizeStatValues(await response.json());
+        this.writeCache(values);
+        statsFeedLogger.debug(`Loaded ${Object.keys(values).length} statistics from feed`);
+        return values;
+      } catch (error) {
+        const stale = this.readCache(true);
+        statsFeedLogger.warn(`Statistics feed unavailable, using ${stale ? 'cached' : 'authored'} values`, error);
+        return stale;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+
+    apply(values) {
+      document.querySelectorAll('[data-stat]').forEach(element => {
+        const value = values[element.dataset.stat];
+        if (value !== undefined) {
+          element.textContent = value;
+        }
+      });
+    }
+  }
+
+  class StatCounter {
+    constructor(scrollReveal, options = {}) {
+      this.scrollReveal = scrollReveal;
+      this.duration = options.duration || STAT_COUNT_DURATION;
+      this.locale = options.locale || navigator.language || i18n.locale;
+      this.stats = new Map();
+      this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+      this.init();
+    }
+
+    init() {
+      const elements = document.querySelectorAll('.stat-number');
+
+      elements.forEach((element) => {
+        const stat = parseStatValue(element.textContent);
+        if (!stat) {
+          statLogger.debug('Leaving non-numeric statistic as authored', { text: element.textContent.trim() });
+          return;
+        }
+
+        stat.format = createStatFormatter(stat, this.locale);
+        this.stats.set(element, stat);
+
+        if (this.reducedMotion || !this.scrollReveal || !this.scrollReveal.observe(element, () => this.animate(element))) {
+          this.showFinal(element);
+          return;
+        }
+
+        stat.pending = true;
+        element.textContent = stat.format(0);
+      });
+
+      statLogger.debug(`Prepared ${this.stats.size} statistics`, { reducedMotion: this.reducedMotion, locale: this.locale });
+    }
+
+    showFinal(element) {
+      const stat = this.stats.get(element);
+      if (!stat) return;
+
+      element.textContent = stat.format(stat.value);
+    }
+
+    setValues(values) {
+      document.querySelectorAll('[data-stat]').forEach((element) => {
+        const text = values[element.dataset.stat];
+        if (text === undefined) return;
+
+        const current = this.stats.get(element);
+        const stat = parseStatValue(text);
+
+        if (!stat) {
+          this.stats.delete(element);
+          element.textContent = text;
+          return;
+        }
+
+        stat.format = createStatFormatter(stat, this.locale);
+        stat.pending = Boolean(current && current.pending);
+        this.stats.set(element, stat);
+
+        if (!stat.pending) {
+          this.showFinal(element);
+        }
+      });
+    }
+
+    animate(element) {
+      const stat = this.stats.get(element);
+      if (!stat) return;
+
+      stat.pending = false;
+
+      const startedAt = performance.now();
+      const step = (now) => {
+        const progress = Math.min((now - startedAt) / this.duration, 1);
+        const eased = 1 - Math.pow(1 - progress, 3);
+
+        const target = this.stats.get(element) || stat;
+        element.textContent = target.format(target.value * eased);
+
+        if (progress < 1) {
+          requestAnimationFrame(step);
+        } else {
+          statLogger.debug('Count-up complete', { text: element.textContent });
+        }
+      };
+
+      requestAnimationFrame(step);
+    }
+  }
+
+  const calculatorLogger = createLogger('Calculator');
+
+  /**
+   * Decimal Money Arithmetic
+   * Amounts are BigInt fixed-point values with DECIMAL_SCALE fractional
+   * digits, so fees and conversions never pass through binary floats.
+   * Values only become Numbers when handed to Intl.NumberFormat.
+   */
+  const DECIMAL_SCALE = 6;
+  const DECIMAL_FACTOR = 10n ** BigInt(DECIMAL_SCALE);
+
+  function divideRounded(numerator, denominator) {
+    const negative = (numerator < 0n) !== (denominator < 0n);
+    const absNumerator = numerator < 0n ? -numerator : numerator;
+    const absDenominator = denominator < 0n ? -denominator : denominator;
+    const quotient = (absNumerator + absDenominator / 2n) / absDenominator;
+    return negative ? -quotient : quotient;
+  }
+
+  function parseDecimal(value) {
+    const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(String(value ?? '').trim());
+    if (!match || (!match[2] && !match[3])) return null;
+
+    const fraction = (match[3] || '').padEnd(DECIMAL_SCALE + 1, '0');
+    const units = BigInt(match[2] || '0') * DECIMAL_FACTOR + BigInt(fraction.slice(0, DECIMAL_SCALE));
+    const rounded = fraction[DECIMAL_SCALE] >= '5' ? units + 1n : units;
+    return match[1] ? -rounded : rounded;
+  }
+
+  function decimalMultiply(a, b) {
+    return divideRounded(a * b, DECIMAL_FACTOR);
+  }
+
+  function decimalDivide(a, b) {
+    if (b === 0n) return null;
+    return divideRounded(a * DECIMAL_FACTOR, b);
+  }
+
+  function decimalPercent(amount, percent) {
+    return divideRounded(amount * percent, DECIMAL_FACTOR * 100n);
+  }
+
+  function decimalRound(value, digits) {
+    const step = 10n ** BigInt(DECIMAL_SCALE - digits);
+    return divideRounded(value, step) * step;
+  }
+
+  function decimalToString(value) {
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(DECIMAL_SCALE + 1, '0');
+    const fraction = digits.slice(-DECIMAL_SCALE).replace(/0+$/, '');
+    const whole = digits.slice(0, -DECIMAL_SCALE);
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+  }
+
+  function getCurrencyDigits(currency) {
+    try {
+      return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+      return 2;
+    }
+  }
+
+  function money(amount, currency) {
+    return { amount: decimalRound(amount, getCurrencyDigits(currency)), currency };
+  }
+
+  function getCurrencyLabel(code, locale) {
+    try {
+      return `${code} — ${new Intl.DisplayNames([locale], { type: 'currency' }).of(code)}`;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  function formatDecimalValue(result, locale) {
+    if (!result) return '—';
+
+    const options = result.currency
+      ? { style: 'currency', currency: result.currency }
+      : { maximumFractionDigits: result.digits ?? 1 };
+    return new Intl.NumberFormat(locale, options).format(Number(decimalToString(result.amount)));
+  }
+
+  /**
+   * Calculator definitions keyed by [data-calculator]. compute() receives
+   * the parsed inputs and the page's calculator config, and returns the
+   * values for each [data-calculator-output] plus the parameters of the
+   * calculator.<name>.message estimate text, or null when inputs are invalid
+   */
+  const calculatorRegistry = new Map([
+    ['fees', {
+      fields: ['volume', 'count', 'currentRate', 'currentFixed'],
+      compute(values, config) {
+        const currency = config.currency;
+        const pricing = config.fees || {};
+        const rate = parseDecimal(pricing.ratePercent);
+        const fixed = parseDecimal(pricing.fixedFee);
+        if (rate === null || fixed === null) return null;
+
+        const current = money(decimalPercent(values.volume, values.currentRate) + decimalMultiply(values.currentFixed, values.count), currency);
+        const proposed = money(decimalPercent(values.volume, rate) + decimalMultiply(fixed, values.count), currency);
+        const monthly = money(current.amount - proposed.amount, currency);
+        const annual = money(monthly.amount * 12n, currency);
+
+        return {
+          outputs: { current, proposed, monthly, annual },
+          message: { volume: money(values.volume, currency), count: { amount: values.count }, current, proposed, monthly }
+        };
+      }
+    }],
+    ['savings', {
+      fields: ['hours', 'hourlyCost'],
+      compute(values, config) {
+        const currency = config.currency;
+        const automation = parseDecimal((config.savings || {}).automationPercent);
+        if (automation === null) return null;
+        const hoursSaved = { amount: decimalPercent(values.hours, automation) };
+        const monthly = money(decimalMultiply(hoursSaved.amount, values.hourlyCost), currency);
+        const annual = money(monthly.amount * 12n, currency);
+
+        return {
+          outputs: { hoursSaved, monthly, annual },
+          message: { hours: { amount: values.hours }, hourlyCost: money(values.hourlyCost, currency), hoursSaved, monthly, annual }
+        };
+      }
+    }],
+    ['fx', {
+      fields: ['amount', 'from', 'to'],
+      compute(values, config) {
+        const fx = config.fx || {};
+        const rates = fx.rates || {};
+        const fromRate = parseDecimal(rates[values.from]);
+        const toRate = parseDecimal(rates[values.to]);
+        if (fromRate === null || toRate === null) return null;
+
+        const midRate = decimalDivide(toRate, fromRate);
+        if (midRate === null) return null;
+
+        const mid = decimalMultiply(values.amount, midRate);
+        const converted = money(mid - decimalPercent(mid, parseDecimal(fx.markupPercent) || 0n), values.to);
+        const bank = money(mid - decimalPercent(mid, parseDecimal(fx.bankMarkupPercent) || 0n), values.to);
+        const difference = money(converted.amount - bank.amount, values.to);
+
+        return {
+          outputs: { rate: { amount: midRate, digits: 4 }, converted, bank, difference },
+          message: { amount: money(values.amount, values.from), currency: values.to, converted, bank, difference }
+        };
+      }
+    }]
+  ]);
+
+  /**
+   * Lead Magnet Calculators
+   * Each [data-calculator] form reads its inputs, recomputes on every
+   * change and writes formatted results into [data-calculator-output]
+   * elements. Inputs are mirrored into shareable URL parameters, and the
+   * estimate action hands a summary to the contact form.
+   */
+  class Calculator {
+    static register(name, definition) {
+      if (!definition || typeof definition.compute !== 'function') {
+        throw new TypeError(`Calculator: Definition "${name}" must provide compute()`);
+      }
+      calculatorRegistry.set(name, definition);
+    }
+
+    static readConfig() {
+      const script = document.getElementById('calculator-config');
+      if (!script) return {};
+
+      try {
+        return JSON.parse(script.textContent);
+      } catch (error) {
+        calculatorLogger.error('Invalid calculator config', error);
+        return {};
+      }
+    }
+
+    constructor(form, options = {}) {
+      this.form = form;
+      this.name = form.dataset.calculator;
+      this.definition = calculatorRegistry.get(this.name);
+      this.config = { currency: 'USD', ...(options.config || Calculator.readConfig()) };
+      this.contactForm = options.contactForm || null;
+      this.buttonMorphing = options.buttonMorphing || null;
+      this.status = form.querySelector('[data-calculator-status]');
+      this.result = null;
+
+      if (!this.definition) {
+        calculatorLogger.warn(`Unknown calculator "${this.name}"`);
+        return;
+      }
+
+      this.init();
+    }
+
+    init() {
+      this.populateCurrencies();
+      this.applySharedValues();
+
+      this.form.addEventListener('input', () => this.update());
+      this.form.addEventListener('change', () => this.update());
+      this.form.addEventListener('submit', (e) => e.preventDefault());
+      this.form.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-calculator-action]');
+        if (!action) return;
+
+        if (action.dataset.calculatorAction === 'share') {
+          if (this.buttonMorphing) {
+            this.buttonMorphing.runAction(action, () => this.share());
+          } else {
+            this.share();
+          }
+        } else if (action.dataset.calculatorAction === 'estimate') {
+          this.requestEstimate();
+        }
+      });
+
+      this.update();
+      calculatorLogger.debug(`Calculator "${this.name}" initialized`);
+    }
+
+    populateCurrencies() {
+      const currencies = Object.keys((this.config.fx || {}).rates || {});
+      if (!currencies.length) return;
+
+      this.form.querySelectorAll('select[data-currency-options]').forEach(select => {
+        const selected = select.value || select.dataset.currencyOptions;
+        select.replaceChildren(...currencies.map(code => {
+          const option = document.createElement('option');
+          option.value = code;
+          option.textContent = getCurrencyLabel(code, i18n.locale);
+          return option;
+        }));
+        if (currencies.includes(selected)) {
+          select.value = selected;
+        }
+      });
+    }
+
+    getField(name) {
+      return this.form.elements.namedItem(name);
+    }
+
+    readValues() {
+      const values = {};
+      let valid = true;
+
+      this.definition.fields.forEach(name => {
+        const field = this.getField(name);
+        if (!field) return;
+
+        if (field.tagName === 'SELECT') {
+          values[name] = field.value;
+          return;
+        }
+
+        const value = parseDecimal(field.value);
+        const min = field.min === '' ? null : parseDecimal(field.min);
+        const fieldValid = value !== null && (min === null || value >= min);
+
+        field.setAttribute('aria-invalid', String(!fieldValid));
+        if (!fieldValid) {
+          valid = false;
+          return;
+        }
+
+        values[name] = value;
+      });
+
+      return valid ? values : null;
+    }
+
+    update() {
+      const values = this.readValues();
+      this.result = values ? this.definition.compute(values, this.config) : null;
+
+      this.form.querySelectorAll('[data-calculator-output]').forEach(output => {
+        const value = this.result ? this.result.outputs[output.dataset.calculatorOutput] : null;
+        output.textContent = formatDecimalValue(value, i18n.locale);
+        output.classList.toggle('is-negative', Boolean(value && value.amount < 0n));
+      });
+
+      this.form.querySelectorAll('[data-calculator-action]').forEach(button => {
+        button.disabled = !this.result;
+      });
+    }
+
+    getParamName(field) {
+      return `${this.name}.${field}`;
+    }
+
+    applySharedValues() {
+      const params = new URLSearchParams(window.location.search);
+
+      this.definition.fields.forEach(name => {
+        const field = this.getField(name);
+        const value = params.get(this.getParamName(name));
+        if (!field || value === null) return;
+
+        if (field.tagName === 'SELECT' ? Array.from(field.options).some(option => option.value === value) : parseDecimal(value) !== null) {
+          field.value = value;
+        }
+      });
+    }
+
+    getShareUrl() {
+      const url = new URL(window.location.href);
+      this.definition.fields.forEach(name => {
+        const field = this.getField(name);
+        if (field) {
+          url.searchParams.set(this.getParamName(name), field.value);
+        } else {
+          url.searchParams.delete(this.getParamName(name));
+        }
+      });
+
+      const section = this.form.closest('section[id]');
+      url.hash = section ? section.id : '';
+      return url.toString();
+    }
+
+    async share() {
+      const url = this.getShareUrl();
+
+      if (typeof window.history.replaceState === 'function') {
+        window.history.replaceState(window.history.state, '', url);
+      }
+
+      try {
+        await navigator.clipboard.writeText(url);
+        this.setStatus(i18n.t('calculator.shareCopied'));
+      } catch (error) {
+        calculatorLogger.warn('Clipboard unavailable, showing share link instead', error);
+        this.setStatus(i18n.t('calculator.shareFallback', { url }));
+      }
+
+      analytics.publish('calculator_shared', { calculator: this.name }, this.form);
+      dispatchLifecycleEvent(this.form, 'calculator:share', { calculator: this.name, url });
+    }
+
+    buildEstimateMessage() {
+      const params = {};
+      Object.entries(this.result.message).forEach(([key, value]) => {
+        params[key] = typeof value === 'object' ? formatDecimalValue(value, i18n.locale) : value;
+      });
+      return i18n.t(`calculator.${this.name}.message`, params);
+    }
+
+    requestEstimate() {
+      if (!this.result || !this.contactForm) return;
+
+      this.contactForm.prefill({
+        inquiryType: this.form.dataset.inquiryType || 'sales',
+        message: this.buildEstimateMessage()
+      });
+
+      const target = this.form.dataset.estimateTarget || '#contact';
+      if (this.buttonMorphing) {
+        this.buttonMorphing.smoothScrollTo(target);
+      }
+
+      this.setStatus(i18n.t('calculator.estimateAdded'));
+      analytics.publish('calculator_estimate_requested', { calculator: this.name }, this.form);
+      dispatchLifecycleEvent(this.form, 'calculator:estimate', { calculator: this.name, outputs: this.result.outputs });
+      calculatorLogger.debug('Estimate sent to contact form', { calculator: this.name });
+    }
+
+    setStatus(message) {
+      if (this.status) {
+        this.status.textContent = message;
+      }
+    }
+  }
+
+  const pricingLogger = createLogger('Pricing');
+
+  /**
+   * Pricing Plans
+   * Renders plan cards and a feature comparison table from the JSON plan
+   * config, then keeps the prices in step with the billing period toggle
+   * and currency selector. Plan CTAs are .cta-button elements so
+   * ButtonMorphing picks them up, and choosing one preselects the plan,
+   * billing period and currency in the contact form.
+   */
+  class PricingTable {
+    constructor(container, options = {}) {
+      this.container = container;
+      this.contactForm = options.contactForm || null;
+      this.buttonMorphing = options.buttonMorphing || null;
+      this.config = options.config || this.readConfig();
+      this.plans = Array.isArray(this.config.plans) ? this.config.plans : [];
+      this.currencies = Array.isArray(this.config.currencies) && this.config.currencies.length
+        ? this.config.currencies
+        : ['USD'];
+      this.currency = this.currencies.includes(this.config.defaultCurrency) ? this.config.defaultCurrency : this.currencies[0];
+      this.period = 'monthly';
+      this.priceElements = new Map();
+
+      if (!this.plans.length) {
+        pricingLogger.warn('No pricing plans configured');
+        return;
+      }
+
+      this.init();
+    }
+
+    readConfig() {
+      const script = document.querySelector(this.container.dataset.pricing || '#pricing-plans');
+      if (!script) return {};
+
+      try {
+        return JSON.parse(script.textContent);
+      } catch (error) {
+        pricingLogger.error('Invalid pricing plan config', error);
+        return {};
+      }
+    }
+
+    init() {
+      this.periodButtons = Array.from(this.container.querySelectorAll('[data-billing-period]'));
+      this.currencySelect = this.container.querySelector('[data-pricing-currency]');
+      this.savingsBadge = this.container.querySelector('[data-pricing-max-savings]');
+
+      this.renderCurrencyOptions();
+      this.renderPlans();
+      this.renderComparison();
+      this.syncFormOptions();
+
+      this.periodButtons.forEach(button => {
+        button.addEventListener('click', () => this.setPeriod(button.dataset.billingPeriod));
+      });
+
+      if (this.currencySelect) {
+        this.currencySelect.addEventListener('change', () => this.setCurrency(this.currencySelect.value));
+      }
+
+      this.container.addEventListener('click', (e) => {
+        const cta = e.target.closest('[data-plan]');
+        if (cta && this.container.contains(cta)) {
+          this.choosePlan(cta.dataset.plan);
+        }
+      });
+
+      i18n.onChange(() => this.relabel());
+
+      this.update();
+      pricingLogger.debug(`Rendered ${this.plans.length} plans`, { currency: this.currency });
+    }
+
+    renderCurrencyOptions() {
+      if (!this.currencySelect) return;
+
+      this.currencySelect.replaceChildren(...this.currencies.map(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = getCurrencyLabel(code, i18n.locale);
+        return option;
+      }));
+      this.currencySelect.value = this.currency;
+    }
+
+    renderPlans() {
+      const list = this.container.querySelector('[data-pricing-plans]');
+      if (!list) return;
+
+      list.replaceChildren(...this.plans.map(plan => this.renderPlan(plan)));
+
+      if (this.buttonMorphing) {
+        list.querySelectorAll('.cta-button').forEach(button => this.buttonMorphing.addButton(button));
+      }
+    }
+
+    renderPlan(plan) {
+      const card = document.createElement('article');
+      card.className = plan.featured ? 'pricing-card featured' : 'pricing-card';
+      card.setAttribute('aria-labelledby', `pricing-plan-${plan.id}`);
+      card.setAttribute('data-reveal', '');
+
+      const badge = plan.featured ? document.createElement('p') : null;
+      if (badge) {
+        badge.className = 'pricing-badge';
+        card.appendChild(badge);
+      }
+
+      const name = document.createElement('h3');
+      name.id = `pricing-plan-${plan.id}`;
+      name.textContent = plan.name;
+
+      const description = document.createElement('p');
+      description.className = 'pricing-description';
+      description.textContent = plan.description || '';
+
+      const price = document.createElement('p');
+      price.className = 'pricing-price';
+      const amount = document.createElement('span');
+      amount.className = 'pricing-amount';
+      const unit = document.createElement('span');
+      unit.className = 'pricing-unit';
+      price.append(amount, unit);
+
+      const billing = document.createElement('p');
+      billing.className = 'pricing-billing';
+
+      const savings = document.createElement('p');
+      savings.className = 'pricing-savings';
+
+      const highlights = document.createElement('ul');
+      highlights.className = 'pricing-highlights';
+      highlights.setAttribute('role', 'list');
+      (plan.highlights || []).forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        highlights.appendChild(item);
+      });
+
+      const cta = document.createElement('button');
+      cta.type = 'button';
+      cta.className = `cta-button ${plan.featured ? 'primary' : 'secondary'}`;
+      cta.dataset.plan = plan.id;
+      const ctaText = document.createElement('span');
+      ctaText.className = 'button-text';
+      const spinner = document.createElement('span');
+      spinner.className = 'button-spinner';
+      spinner.setAttribute('aria-hidden', 'true');
+      cta.append(ctaText, spinner);
+
+      card.append(name, description, price, billing, savings, highlights, cta);
+      this.priceElements.set(plan.id, { amount, unit, billing, savings, badge, cta });
+      this.renderPlanLabels(plan);
+      return card;
+    }
+
+    renderPlanLabels(plan) {
+      const elements = this.priceElements.get(plan.id);
+      if (!elements) return;
+
+      if (elements.badge) {
+        elements.badge.textContent = i18n.t('pricing.featured');
+      }
+
+      const label = plan.cta || i18n.t('pricing.choose', { plan: plan.name });
+      if (this.buttonMorphing) {
+        this.buttonMorphing.setLabel(elements.cta, label);
+      } else {
+        elements.cta.querySelector('.button-text').textContent = label;
+      }
+    }
+
+    relabel() {
+      this.renderCurrencyOptions();
+      this.plans.forEach(plan => this.renderPlanLabels(plan));
+      this.renderComparison();
+      this.update();
+    }
+
+    renderComparison() {
+      const table = this.container.querySelector('[data-pricing-comparison]');
+      const features = Array.isArray(this.config.features) ? this.config.features : [];
+      if (!table || !features.length) return;
+
+      const head = document.createElement('thead');
+      const headRow = document.createElement('tr');
+      const corner = document.createElement('th');
+      corner.scope = 'col';
+      corner.textContent = i18n.t('pricing.feature');
+      headRow.appendChild(corner);
+      this.plans.forEach(plan => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = plan.name;
+        headRow.appendChild(th);
+      });
+      head.appendChild(headRow);
+
+      const body = document.createElement('tbody');
+      features.forEach(feature => {
+        const row = document.createElement('tr');
+        const label = document.createElement('th');
+        label.scope = 'row';
+        label.textContent = feature.label;
+        row.appendChild(label);
+
+        this.plans.forEach(plan => {
+          const value = (feature.plans || {})[plan.id];
+          const cell = document.createElement('td');
+
+          if (typeof value === 'boolean' || value === undefined) {
+            const mark = document.createElement('span');
+            mark.className = value ? 'pricing-check' : 'pricing-cross';
+            mark.setAttribute('aria-hidden', 'true');
+            mark.textContent = value ? '✓' : '—';
+            const text = document.createElement('span');
+            text.className = 'sr-only';
+            text.textContent = i18n.t(value ? 'pricing.included' : 'pricing.notIncluded');
+            cell.append(mark, text);
+          } else {
+            cell.textContent = String(value);
+          }
+
+          row.appendChild(cell);
+        });
+
+        body.appendChild(row);
+      });
+
+      const caption = table.querySelector('caption');
+      table.replaceChildren(...(caption ? [caption] : []), head, body);
+    }
+
+    syncFormOptions() {
+      const select = this.contactForm && this.contactForm.fields.plan;
+      if (!select || select.tagName !== 'SELECT') return;
+
+      this.plans.forEach(plan => {
+        if (Array.from(select.options).some(option => option.value === plan.id)) return;
+
+        const option = document.createElement('option');
+        option.value = plan.id;
+        option.textContent = plan.name;
+        select.appendChild(option);
+      });
+    }
+
+    getPrices(plan) {
+      const prices = plan.prices && plan.prices[this.currency];
+      if (!prices) return null;
+
+      const monthly = parseDecimal(prices.monthly);
+      const annual = parseDecimal(prices.annual);
+      if (monthly === null || annual === null) return null;
+
+      const fullYear = monthly * 12n;
+      return {
+        monthly: money(monthly, this.currency),
+        annual: money(annual, this.currency),
+        annualPerMonth: money(decimalDivide(annual, 12n * DECIMAL_FACTOR), this.currency),
+        savings: money(fullYear - annual, this.currency),
+        savingsRatio: fullYear > 0n ? decimalDivide(fullYear - annual, fullYear) : 0n
+      };
+    }
+
+    formatPercent(ratio) {
+      return new Intl.NumberFormat(i18n.locale, { style: 'percent', maximumFractionDigits: 0 })
+        .format(Number(decimalToString(ratio)));
+    }
+
+    update() {
+      let maxSavings = 0n;
+
+      this.plans.forEach(plan => {
+        const elements = this.priceElements.get(plan.id);
+        if (!elements) return;
+
+        const prices = this.getPrices(plan);
+        if (!prices) {
+          elements.amount.textContent = i18n.t('pricing.custom');
+          elements.unit.textContent = '';
+          elements.billing.textContent = i18n.t('pricing.customDetail');
+          elements.savings.textContent = '';
+          return;
+        }
+
+        const annual = this.period === 'annual';
+        elements.amount.textContent = formatDecimalValue(annual ? prices.annualPerMonth : prices.monthly, i18n.locale);
+        elements.unit.textContent = i18n.t('pricing.perMonth');
+        elements.billing.textContent = annual
+          ? i18n.t('pricing.billedAnnually', { total: formatDecimalValue(prices.annual, i18n.locale) })
+          : i18n.t('pricing.billedMonthly');
+        elements.savings.textContent = annual && prices.savings.amount > 0n
+          ? i18n.t('pricing.annualSavings', { amount: formatDecimalValue(prices.savings, i18n.locale) })
+          : '';
+
+        if (prices.savingsRatio > maxSavings) {
+          maxSavings = prices.savingsRatio;
+        }
+      });
+
+      if (this.savingsBadge) {
+        this.savingsBadge.textContent = maxSavings > 0n ? i18n.t('pricing.saveUpTo', { percent: this.formatPercent(maxSavings) }) : '';
+      }
+
+      this.periodButtons.forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.billingPeriod === this.period));
+      });
+    }
+
+    setPeriod(period) {
+      if (period !== 'monthly' && period !== 'annual') return;
+      if (period === this.period) return;
+
+      this.period = period;
+      this.update();
+      analytics.publish('pricing_period_change', { period }, this.container);
+      dispatchLifecycleEvent(this.container, 'pricing:change', { period: this.period, currency: this.currency });
+      pricingLogger.debug('Billing period changed', { period });
+    }
+
+    setCurrency(currency) {
+      if (!this.currencies.includes(currency) || currency === this.currency) return;
+
+      this.currency = currency;
+      this.update();
+      analytics.publish('pricing_currency_change', { currency }, this.container);
+      dispatchLifecycleEvent(this.container, 'pricing:change', { period: this.period, currency: this.currency });
+      pricingLogger.debug('Currency changed', { currency });
+    }
+
+    choosePlan(planId) {
+      const plan = this.plans.find(item => item.id === planId);
+      if (!plan) return;
+
+      if (this.contactForm) {
+        this.contactForm.prefill({
+          inquiryType: this.container.dataset.inquiryType || 'sales',
+          plan: plan.id,
+          billingPeriod: this.period,
+          planCurrency: this.currency
+        });
+      }
+
+      if (this.buttonMorphing) {
+        this.buttonMorphing.smoothScrollTo(this.container.dataset.planTarget || '#contact');
+      }
+
+      analytics.publish('pricing_plan_selected', { plan: plan.id, period: this.period, currency: this.currency }, this.container);
+      dispatchLifecycleEvent(this.container, 'pricing:planselect', { plan: plan.id, period: this.period, currency: this.currency });
+      pricingLogger.debug('Plan selected', { plan: plan.id });
+    }
+  }
+
+  const scrollSpyLogger = createLogger('ScrollSpy');
+
+  const SCROLL_LOCK_FALLBACK = 1000;
+
+  /**
+   * Scroll Spy
+   * Marks the navigation link for the section under the sticky header with
+   * aria-current and mirrors it into the URL hash without adding history
+   * entries. The header height is published as --header-offset so anchored
+   * scrolling lands below the header.
+   */
+  class ScrollSpy {
+    constructor(options = {}) {
+      this.header = document.querySelector(options.headerSelector || 'header');
+      this.links = Array.from(document.querySelectorAll(options.linkSelector || '.nav-menu a[href^="#"]'));
+      this.sections = Array.from(new Set(this.links.map(link => document.getElementById(link.getAttribute('href').slice(1))).filter(Boolean)));
+      this.visible = new Set();
+      this.activeId = null;
+      this.lockedId = null;
+      this.lockTimer = null;
+      this.offset = 0;
+      this.observer = null;
+
+      this.init();
+    }
+
+    init() {
+      this.updateOffset();
+      window.addEventListener('resize', () => this.updateOffset());
+      window.addEventListener('scrollend', () => this.unlock());
+
+      const initialTarget = window.location.hash ? document.getElementById(window.location.hash.slice(1)) : null;
+      if (initialTarget) {
+        initialTarget.scrollIntoView();
+        this.setActive(initialTarget.id);
+      }
+
+      scrollSpyLogger.debug(`Tracking ${this.sections.length} sections`, { offset: this.offset });
+    }
+
+    updateOffset() {
+      const offset = this.header ? Math.round(this.header.getBoundingClientRect().height) : 0;
+      if (offset === this.offset && this.observer) return;
+
+      this.offset = offset;
+      document.documentElement.style.setProperty('--header-offset', `${offset}px`);
+      this.observe();
+    }
+
+    observe() {
+      if (!('IntersectionObserver' in window) || !this.sections.length) return;
+
+      if (this.observer) {
+        this.observer.disconnect();
+      }
+
+      this.visible.clear();
+      this.observer = new IntersectionObserver((entries) => this.handleIntersections(entries), {
+        rootMargin: `-${this.offset}px 0px -50% 0px`,
+        threshold: 0
+      });
+      this.sections.forEach(section => this.observer.observe(section));
+    }
+
+    handleIntersections(entries) {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          this.visible.add(entry.target);
+        } else {
+          this.visible.delete(entry.target);
+        }
+      });
+
+      if (this.lockedId) return;
+
+      const current = this.sections.find(section => this.visible.has(section));
+      if (current) {
+        this.setActive(current.id, { updateHash: true });
+      } else if (this.sections.length && this.sections[0].getBoundingClientRect().top > this.offset) {
+        this.setActive(null, { updateHash: true });
+      }
+    }
+
+    setActive(id, { updateHash = false } = {}) {
+      if (id === this.activeId) return;
+
+      this.activeId = id;
+      this.links.forEach((link) => {
+        if (id && link.getAttribute('href') === `#${id}`) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+
+      if (updateHash) {
+        this.replaceHash(id);
+      }
+
+      scrollSpyLogger.debug('Active section changed', { id });
+    }
+
+    replaceHash(id) {
+      const hash = id ? `#${id}` : '';
+      if (window.location.hash === hash || typeof window.history.replaceState !== 'function') return;
+
+      window.history.replaceState(window.history.state, '', hash || `${window.location.pathname}${window.location.search}`);
+    }
+
+    lockTo(id) {
+      this.setActive(this.sections.some(section => section.id === id) ? id : null);
+      this.lockedId = id;
+
+      clearTimeout(this.lockTimer);
+      this.lockTimer = setTimeout(() => this.unlock(), SCROLL_LOCK_FALLBACK);
+    }
+
+    unlock() {
+      clearTimeout(this.lockTimer);
+      this.lockedId = null;
+    }
+
+    destroy() {
+      if (this.observer) {
+        this.observer.disconnect();
+      }
+      this.unlock();
+    }
+  }
+
+  const navLogger = createLogger('MobileNav');
+
+  const NAV_FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  /**
+   * Mobile Navigation
+   * Turns the header links into a slide-out panel behind a disclosure
+   * toggle on narrow viewports. While open, Tab cycles between the toggle
+   * and the panel, Escape or an outside click closes it, and focus returns
+   * to the toggle. Choosing a link closes the panel and leaves focus with
+   * the smooth scroll target.
+   */
+  class MobileNav {
+    constructor(options = {}) {
+      this.toggle = document.querySelector('[data-nav-toggle]');
+      this.panel = this.toggle ? document.getElementById(this.toggle.getAttribute('aria-controls')) : null;
+      this.desktopQuery = window.matchMedia(options.desktopQuery || '(min-width: 768px)');
+      this.isOpen = false;
+
+      if (!this.toggle || !this.panel) {
+        navLogger.debug('Navigation toggle not present');
+        return;
+      }
+
+      this.handleDocumentKeydown = (e) => this.handleKeydown(e);
+      this.handleDocumentClick = (e) => this.handleOutsideClick(e);
+
+      this.init();
+    }
+
+    init() {
+      this.toggle.addEventListener('click', () => {
+        if (this.isOpen) {
+          this.close();
+        } else {
+          this.open();
+        }
+      });
+
+      this.panel.addEventListener('click', (e) => {
+        if (e.target.closest('a[href]')) {
+          this.close({ restoreFocus: false });
+        }
+      });
+
+      const handleBreakpoint = () => {
+        if (this.desktopQuery.matches) {
+          this.close({ restoreFocus: false });
+        }
+      };
+      if (typeof this.desktopQuery.addEventListener === 'function') {
+        this.desktopQuery.addEventListener('change', handleBreakpoint);
+      }
+
+      i18n.onChange(() => this.updateToggle());
+
+      this.updateToggle();
+      navLogger.debug('Mobile navigation initialized');
+    }
+
+    open() {
+      if (this.isOpen) return;
+
+      this.isOpen = true;
+      this.panel.classList.add('is-open');
+      document.body.classList.add('nav-open');
+      this.updateToggle();
+
+      document.addEventListener('keydown', this.handleDocumentKeydown);
+      document.addEventListener('click', this.handleDocumentClick);
+
+      const focusables = this.getFocusable();
+      if (focusables.length) {
+        focusables[0].focus();
+      }
+
+      navLogger.debug('Menu opened');
+    }
+
+    close({ restoreFocus = true } = {}) {
+      if (!this.isOpen) return;
+
+      this.isOpen = false;
+      this.panel.classList.remove('is-open');
+      document.body.classList.remove('nav-open');
+      this.updateToggle();
+
+      document.removeEventListener('keydown', this.handleDocumentKeydown);
+      document.removeEventListener('click', this.handleDocumentClick);
+
+      if (restoreFocus) {
+        this.toggle.focus();
+      }
+
+      navLogger.debug('Menu closed', { restoreFocus });
+    }
+
+    updateToggle() {
+      this.toggle.setAttribute('aria-expanded', String(this.isOpen));
+
+      const label = this.toggle.querySelector('[data-nav-toggle-label]') || this.toggle;
+      const text = i18n.t(this.isOpen ? 'nav.close' : 'nav.open');
+      if (label === this.toggle) {
+        this.toggle.setAttribute('aria-label', text);
+      } else {
+        label.textContent = text;
+      }
+    }
+
+    getFocusable() {
+      return Array.from(this.panel.querySelectorAll(NAV_FOCUSABLE_SELECTOR))
+        .filter(element => !element.closest('[hidden]'));
+    }
+
+    handleKeydown(e) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+        return;
+      }
+
+      if (e.key !== 'Tab') return;
+
+      const cycle = [this.toggle, ...this.getFocusable()];
+      const index = cycle.indexOf(document.activeElement);
+      const first = cycle[0];
+      const last = cycle[cycle.length - 1];
+
+      if (index === -1) {
+        e.preventDefault();
+        first.focus();
+      } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+
+    handleOutsideClick(e) {
+      if (this.panel.contains(e.target) || this.toggle.contains(e.target)) return;
+      this.close({ restoreFocus: false });
+    }
+  }
+
+  const buttonLogger = createLogger('ButtonMorphing');
+
+  const BUTTON_FEEDBACK_DURATION = 2000;
+
+  /**
+   * Registered async CTA actions keyed by [data-action]. A handler receives
+   * { button, event } and returns a promise: resolving runs the success
+   * state, rejecting or resolving false runs the error state
+   */
+  const actionRegistry = new Map();
+
+  /**
+   * Button Morphing Interactions and Smooth Scroll Behavior
+   * Handles CTA button states, smooth scrolling for navigation and the
+   * history entries that make in-page sections shareable and back-navigable
+   */
+  class ButtonMorphing {
+    static registerAction(name, handler) {
+      if (typeof handler !== 'function') {
+        throw new TypeError(`ButtonMorphing: Action "${name}" must be a function`);
+      }
+      actionRegistry.set(name, handler);
+    }
+
+    constructor(options = {}) {
+      this.buttons = [];
+      this.buttonStates = new WeakMap();
+      this.scrollSpy = options.scrollSpy || null;
+
+      buttonLogger.debug('Initialization started');
+      this.init();
+    }
+
+    init() {
+      this.setupButtons();
+      this.setupSmoothScroll();
+      buttonLogger.debug('Initialization complete');
+    }
+
+    setupButtons() {
+      this.buttons = Array.from(document.querySelectorAll('.cta-button'));
+
+      buttonLogger.debug(`Found ${this.buttons.length} CTA buttons`);
+
+      this.buttons.forEach((button) => {
+        this.initializeButton(button);
+      });
+    }
+
+    addButton(button) {
+      if (this.buttonStates.has(button)) return;
+
+      this.buttons.push(button);
+      this.initializeButton(button);
+    }
+
+    setLabel(button, label) {
+      const state = this.buttonStates.get(button);
+      const buttonText = button.querySelector('.button-text');
+
+      if (state) {
+        state.originalText = label;
+      }
+      if (buttonText && (!state || state.state === 'idle')) {
+        buttonText.textContent = label;
+      }
+    }
+
+    initializeButton(button) {
+      this.buttonStates.set(button, {
+        state: 'idle',
+        originalText: button.textContent.trim()
+      });
+
+      button.addEventListener('mouseenter', () => this.handleHover(button));
+      button.addEventListener('mouseleave', () => this.handleLeave(button));
+      button.addEventListener('mousedown', () => this.handleActive(button));
+      button.addEventListener('mouseup', () => this.handleRelease(button));
+      button.addEventListener('click', (e) => this.handleClick(button, e));
+
+      button.addEventListener('focus', () => {
+        buttonLogger.debug('Button focused', { text: button.textContent.trim() });
+      });
+
+      button.addEventListener('blur', () => {
+        const state = this.buttonStates.get(button);
+        if (state && state.state !== 'loading') {
+          this.resetButton(button);
+        }
+      });
+    }
+
+    handleHover(button) {
+      const state = this.buttonStates.get(button);
+      if (!state || state.state === 'loading') return;
+
+      buttonLogger.debug('Button hover', { text: state.originalText });
+      button.style.setProperty('--hover-scale', '1.02');
+    }
+
+    handleLeave(button) {
+      const state = this.buttonStates.get(button);
+      if (!state || state.state === 'loading') return;
+
+      button.style.removeProperty('--hover-scale');
+    }
+
+    handleActive(button) {
+      const state = this.buttonStates.get(button);
+      if (!state || state.state === 'loading') return;
+
+      buttonLogger.debug('Button active', { text: state.originalText });
+    }
+
+    handleRelease(button) {
+      const state = this.buttonStates.get(button);
+      if (!state || state.state === 'loading') return;
+
+      buttonLogger.debug('Button released', { text: state.originalText });
+    }
+
+    handleClick(button, event) {
+      const state = this.buttonStates.get(button);
+      if (!state) return;
+
+      if (state.state === 'loading') {
+        event.preventDefault();
+        buttonLogger.debug('Click ignored, button in loading state');
+        return;
+      }
+
+      const href = button.getAttribute('href');
+      const action = button.dataset.action || null;
+
+      if (action) {
+        event.preventDefault();
+        this.triggerAction(button, action, event);
+      } else if (href && href.startsWith('#')) {
+        event.preventDefault();
+        this.smoothScrollTo(href);
+      }
+
+      buttonLogger.debug('Button clicked', {
+        text: state.originalText,
+        href: href || 'none',
+        action
+      });
+      analytics.publish('cta_click', {
+        text: state.originalText,
+        href: href || null,
+        action
+      }, button);
+    }
+
+    triggerAction(button, name, event) {
+      const handler = actionRegistry.get(name);
+      if (!handler) {
+        buttonLogger.warn(`No handler registered for action "${name}"`);
+        return;
+      }
+
+      this.runAction(button, () => handler({ button, event })).catch((error) => {
+        buttonLogger.error(`Action "${name}" failed`, error);
+      });
+    }
+
+    async runAction(button, task) {
+      if (!this.buttonStates.has(button)) {
+        this.addButton(button);
+      }
+
+      if (this.buttonStates.get(button).state === 'loading') {
+        buttonLogger.debug('Action ignored, button already loading');
+        return false;
+      }
+
+      this.setLoadingState(button);
+
+      let result;
+      try {
+        result = await task();
+      } catch (error) {
+        this.setErrorState(button);
+        throw error;
+      }
+
+      if (result === false) {
+        this.setErrorState(button);
+        return false;
+      }
+
+      if (result === null) {
+        this.resetButton(button);
+        return null;
+      }
+
+      this.setSuccessState(button);
+      return true;
+    }
+
+    scheduleReset(button, state) {
+      clearTimeout(state.resetTimer);
+      state.resetTimer = setTimeout(() => {
+        this.resetButton(button);
+      }, BUTTON_FEEDBACK_DURATION);
+    }
+
+    setLoadingState(button) {
+      const state = this.buttonStates.get(button);
+      if (!state) return;
+
+      clearTimeout(state.resetTimer);
+      state.state = 'loading';
+      button.dataset.state = 'loading';
+      button.disabled = true;
+      button.setAttribute('aria-busy', 'true');
+
+      const buttonText = button.querySelector('.button-text');
+      if (buttonText) {
+        buttonText.style.opacity = '0.5';
+      }
+
+      const spinner = button.querySelector('.button-spinner');
+      if (spinner) {
+        spinner.style.display = 'block';
+      }
+
+      buttonLogger.debug('Button loading state set', { text: state.originalText });
+      dispatchLifecycleEvent(button, 'cta:statechange', { state: 'loading' });
+    }
+
+    setSuccessState(button) {
+      const state = this.buttonStates.get(button);
+      if (!state) return;
+
+      state.state = 'success';
+      button.dataset.state = 'success';
+      button.disabled = false;
+      button.setAttribute('aria-busy', 'false');
+
+      const buttonText = button.querySelector('.button-text');
+      if (buttonText) {
+        buttonText.textContent = i18n.t('button.success');
+        buttonText.style.opacity = '1';
+      }
+
+      const spinner = button.querySelector('.button-spinner');
+      if (spinner) {
+        spinner.style.display = 'none';
+      }
+
+      buttonLogger.debug('Button success state set', { text: state.originalText });
+      dispatchLifecycleEvent(button, 'cta:statechange', { state: 'success' });
+      this.scheduleReset(button, state);
+    }
+
+    setErrorState(button, message) {
+      const state = this.buttonStates.get(button);
+      if (!state) return;
+
+      state.state = 'error';
+      button.dataset.state = 'error';
+      button.disabled = false;
+      button.setAttribute('aria-busy', 'false');
+
+      const buttonText = button.querySelector('.button-text');
+      if (buttonText) {
+        buttonText.textContent = message || i18n.t('button.error');
+        buttonText.style.opacity = '1';
+      }
+
+      const spinner = button.querySelector('.button-spinner');
+      if (spinner) {
+        spinner.style.display = 'none';
+      }
+
+      buttonLogger.debug('Button error state set', { text: state.originalText });
+      dispatchLifecycleEvent(button, 'cta:statechange', { state: 'error' });
+      this.scheduleReset(button, state);
+    }
+
+    resetButton(button) {
+      const state = this.buttonStates.get(button);
+      if (!state) return;
+
+      clearTimeout(state.resetTimer);
+      state.state = 'idle';
+      delete button.dataset.state;
+      button.disabled = false;
+      button.setAttribute('aria-busy', 'false');
+
+      const buttonText = button.querySelector('.button-text');
+      if (buttonText) {
+        buttonText.textContent = state.originalText;
+        buttonText.style.opacity = '1';
+      }
+
+      const spinner = button.querySelector('.button-spinner');
+      if (spinner) {
+        spinner.style.display = 'none';
+      }
+
+      buttonLogger.debug('Button reset to idle', { text: state.originalText });
+    }
+
+    setupSmoothScroll() {
+      const navLinks = document.querySelectorAll('a[href^="#"]');
+
+      buttonLogger.debug(`Setting up smooth scroll for ${navLinks.length} links`);
+
+      navLinks.forEach((link) => {
+        link.addEventListener('click', (e) => {
+          const href = link.getAttribute('href');
+          if (href && href !== '#' && href.startsWith('#')) {
+            e.preventDefault();
+            this.smoothScrollTo(href);
+          }
+        });
+      });
+
+      window.addEventListener('popstate', () => this.handlePopState());
+    }
+
+    handlePopState() {
+      const hash = window.location.hash;
+
+      if (hash && document.getElementById(hash.slice(1))) {
+        this.smoothScrollTo(hash, { updateHistory: false });
+        return;
+      }
+
+      if (!hash) {
+        const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        window.scrollTo({ top: 0, behavior: reducedMotion ? 'auto' : 'smooth' });
+        buttonLogger.debug('History navigation to page top');
+      }
+    }
+
+    pushHistory(target) {
+      if (window.location.hash === target || typeof window.history.pushState !== 'function') return;
+
+      window.history.pushState({ section: target }, '', target);
+    }
+
+    smoothScrollTo(target, { updateHistory = true } = {}) {
+      const element = document.querySelector(target);
+
+      if (!element) {
+        buttonLogger.warn(`Smooth scroll target not found: ${target}`);
+        return;
+      }
+
+      const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+      if (reducedMotion) {
+        element.scrollIntoView();
+        buttonLogger.debug('Instant scroll (reduced motion)', { target });
+      } else {
+        element.scrollIntoView({
+          behavior: 'smooth',
+          block: 'start'
+        });
+        buttonLogger.debug('Smooth scroll initiated', { target });
+      }
+
+      if (this.scrollSpy) {
+        this.scrollSpy.lockTo(element.id);
+      }
+
+      if (updateHistory) {
+        this.pushHistory(target);
+      }
+
+      if (element.hasAttribute('tabindex')) {
+        element.focus();
+      } else {
+        element.setAttribute('tabindex', '-1');
+        element.focus();
+        element.addEventListener('blur', () => {
+          element.removeAttribute('tabindex');
+        }, { once: true });
+      }
+    }
+  }
+
+  /**
+   * Testimonials
+   * Renders cards into [data-testimonials="trust|rating"] containers from the
+   * inline #testimonials-data JSON or a data-testimonials-src URL, filtered by
+   * each entry's "sections" list, data-industry / data-service and capped by
+   * data-limit. Authored cards stay in place until data has rendered. The
+   * rendered set is also published as schema.org Review/AggregateRating JSON-LD.
+   */
+  const testimonialLogger = createLogger('Testimonials');
+
+  const MAX_TESTIMONIAL_RATING = 5;
+
+  function toFilterList(value) {
+    return String(value || '').split(/[\s,]+/).filter(Boolean).map(item => item.toLowerCase());
+  }
+
+  function getTestimonialRating(item) {
+    const rating = Number(item.rating);
+    return rating >= 1 && rating <= MAX_TESTIMONIAL_RATING ? rating : MAX_TESTIMONIAL_RATING;
+  }
+
+  function getTestimonialRole(item) {
+    return [item.title, item.company].filter(Boolean).join(', ');
+  }
+
+  function createTestimonialCitation(item) {
+    const cite = document.createElement('cite');
+    const name = document.createElement('strong');
+    const role = document.createElement('span');
+
+    name.textContent = item.name;
+    role.textContent = getTestimonialRole(item);
+    cite.append(name, role);
+    return cite;
+  }
+
+  function createTestimonialQuote(item, className) {
+    const blockquote = document.createElement('blockquote');
+    const quote = document.createElement('p');
+
+    if (className) {
+      blockquote.className = className;
+    }
+    quote.textContent = `"${item.quote}"`;
+    blockquote.appendChild(quote);
+    return blockquote;
+  }
+
+  function renderTrustTestimonial(item) {
+    const card = document.createElement('article');
+    card.className = 'testimonial-card-trust';
+
+    const photo = document.createElement('div');
+    photo.className = 'testimonial-photo';
+
+    if (item.photo) {
+      const img = document.createElement('img');
+      img.setAttribute('data-consent-src', item.photo);
+      img.setAttribute('data-consent', 'marketing');
+      if (item.photoPlaceholder) {
+        img.setAttribute('data-placeholder-src', item.photoPlaceholder);
+      }
+      if (item.photoFallback) {
+        img.setAttribute('data-fallback-src', item.photoFallback);
+      }
+      img.alt = i18n.t('testimonials.photoAlt', { name: item.name });
+      img.setAttribute('loading', 'lazy');
+      img.width = 80;
+      img.height = 80;
+      photo.appendChild(img);
+    }
+
+    const attribution = document.createElement('footer');
+    attribution.className = 'testimonial-attribution';
+    attribution.appendChild(createTestimonialCitation(item));
+
+    card.append(photo, createTestimonialQuote(item, 'testimonial-quote'), attribution);
+    return card;
+  }
+
+  function renderRatingTestimonial(item) {
+    const card = document.createElement('article');
+    card.className = 'testimonial-card';
+    card.setAttribute('data-reveal', '');
+
+    const rating = getTestimonialRating(item);
+    const ratingElement = document.createElement('div');
+    ratingElement.className = 'testimonial-rating';
+    ratingElement.setAttribute('aria-label', i18n.t('testimonials.rating', { rating }));
+
+    const stars = document.createElement('span');
+    stars.setAttribute('aria-hidden', 'true');
+    stars.textContent = '★'.repeat(rating) + '☆'.repeat(MAX_TESTIMONIAL_RATING - rating);
+    ratingElement.appendChild(stars);
+
+    const blockquote = createTestimonialQuote(item);
+    const footer = document.createElement('footer');
+    footer.appendChild(createTestimonialCitation(item));
+    blockquote.appendChild(footer);
+
+    card.append(ratingElement, blockquote);
+    return card;
+  }
+
+  const testimonialVariants = {
+    trust: renderTrustTestimonial,
+    rating: renderRatingTestimonial
+  };
+
+  class TestimonialRenderer {
+    constructor(container) {
+      this.container = container;
+      this.variant = testimonialVariants[container.dataset.testimonials] ? container.dataset.testimonials : 'rating';
+      this.source = container.dataset.testimonialsSrc || null;
+      this.filters = {
+        industry: toFilterList(container.dataset.industry),
+        service: toFilterList(container.dataset.service)
+      };
+      this.limit = Number(container.dataset.limit) || Infinity;
+      this.organization = null;
+      this.items = [];
+    }
+
+    readInline() {
+      const script = document.getElementById('testimonials-data');
+      if (!script) return null;
+
+      try {
+        return JSON.parse(script.textContent);
+      } catch (error) {
+        testimonialLogger.error('Malformed inline testimonials JSON', error);
+        return null;
+      }
+    }
+
+    async fetchRemote() {
+      const response = await fetch(this.source, { headers: { 'Accept': 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return response.json();
+    }
+
+    matches(item) {
+      const { industry, service } = this.filters;
+      const services = toFilterList(Array.isArray(item.services) ? item.services.join(' ') : item.services);
+
+      if (Array.isArray(item.sections) && !item.sections.includes(this.variant)) return false;
+      if (industry.length && !industry.includes(String(item.industry || '').toLowerCase())) return false;
+      if (service.length && !service.some(name => services.includes(name))) return false;
+      return true;
+    }
+
+    async render() {
+      let data;
+
+      try {
+        data = this.source ? await this.fetchRemote() : this.readInline();
+      } catch (error) {
+        testimonialLogger.warn(`Unable to load testimonials from ${this.source}, keeping authored content`, error);
+        return [];
+      }
+
+      if (!data || !Array.isArray(data.testimonials)) {
+        testimonialLogger.warn('No testimonial data found, keeping authored content');
+        return [];
+      }
+
+      this.organization = data.organization || null;
+      this.items = data.testimonials
+        .filter(item => item && item.name && item.quote && this.matches(item))
+        .slice(0, this.limit);
+
+      this.container.replaceChildren(...this.items.map(item => testimonialVariants[this.variant](item)));
+      testimonialLogger.debug(`Rendered ${this.items.length} ${this.variant} testimonials`, { filters: this.filters });
+      return this.items;
+    }
+  }
+
+  function publishTestimonialStructuredData(renderers) {
+    const reviews = new Map();
+    renderers.forEach(renderer => {
+      renderer.items.forEach(item => reviews.set(item.id || item.name, item));
+    });
+
+    if (!reviews.size) return null;
+
+    const items = Array.from(reviews.values());
+    const organization = renderers.map(renderer => renderer.organization).find(Boolean) || {};
+    const averageRating = items.reduce((sum, item) => sum + getTestimonialRating(item), 0) / items.length;
+
+    const structuredData = {
+      '@context': 'https://schema.org',
+      '@type': 'Organization',
+      name: organization.name || document.title,
+      url: organization.url || window.location.origin,
+      aggregateRating: {
+        '@type': 'AggregateRating',
+        ratingValue: Number(averageRating.toFixed(1)),
+        reviewCount: items.length,
+        bestRating: MAX_TESTIMONIAL_RATING,
+        worstRating: 1
+      },
+      review: items.map(item => ({
+        '@type': 'Review',
+        author: {
+          '@type': 'Person',
+          name: item.name,
+          ...(item.title ? { jobTitle: item.title } : {}),
+          ...(item.company ? { worksFor: { '@type': 'Organization', name: item.company } } : {})
+        },
+        reviewBody: item.quote,
+        ...(item.date ? { datePublished: item.date } : {}),
+        reviewRating: {
+          '@type': 'Rating',
+          ratingValue: getTestimonialRating(item),
+          bestRating: MAX_TESTIMONIAL_RATING,
+          worstRating: 1
+        }
+      }))
+    };
+
+    let script = document.getElementById('testimonials-jsonld');
+    if (!script) {
+      script = document.createElement('script');
+      script.type = 'application/ld+json';
+      script.id = 'testimonials-jsonld';
+      document.head.appendChild(script);
+    }
+    script.textContent = JSON.stringify(structuredData);
+
+    testimonialLogger.debug(`Published structured data for ${items.length} reviews`);
+    return structuredData;
+  }
+
+  /**
+   * Carousel
+   * Shows the children of [data-carousel-track] one slide at a time with
+   * previous/next and dot controls, arrow-key and swipe navigation, and
+   * optional autoplay (data-autoplay="<ms>") that pauses on hover, focus and
+   * hidden tabs and never runs under reduced motion. Slides away from the
+   * current one stay [data-lazy-pending] so their images load on approach.
+   */
+  const carouselLogger = createLogger('Carousel');
+
+  const DEFAULT_CAROUSEL_INTERVAL = 6000;
+
+  const CAROUSEL_SWIPE_THRESHOLD = 50;
+
+  class Carousel {
+    constructor(container, options = {}) {
+      const autoplay = options.autoplay ?? container.dataset.autoplay;
+
+      this.container = container;
+      this.track = container.querySelector('[data-carousel-track]');
+      this.slides = this.track ? Array.from(this.track.children) : [];
+      this.currentIndex = 0;
+      this.interval = autoplay === undefined ? 0 : (Number(autoplay) || DEFAULT_CAROUSEL_INTERVAL);
+      this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+      this.autoplayEnabled = this.interval > 0 && !this.reducedMotion;
+      this.isPaused = false;
+      this.isHovered = false;
+      this.hasFocus = false;
+      this.timer = null;
+      this.touchStart = null;
 
-      console.log('ButtonMorphing: Initialization started');
       this.init();
     }
 
     init() {
-      this.setupButtons();
-      this.setupSmoothScroll();
-      console.log('ButtonMorphing: Initialization complete');
-    }
+      if (this.slides.length < 2) {
+        carouselLogger.debug('Fewer than two slides, leaving content static');
+        return;
+      }
 
-    setupButtons() {
-      this.buttons = Array.from(document.querySelectorAll('.cta-button'));
+      this.container.classList.add('is-carousel');
+      this.container.setAttribute('role', 'region');
+      this.container.setAttribute('aria-roledescription', 'carousel');
+
+      this.viewport = document.createElement('div');
+      this.viewport.className = 'carousel-viewport';
+      this.track.parentNode.insertBefore(this.viewport, this.track);
+      this.viewport.appendChild(this.track);
+      this.track.classList.add('carousel-track');
+
+      this.slides.forEach((slide) => {
+        slide.classList.add('carousel-slide');
+        slide.setAttribute('role', 'group');
+        slide.setAttribute('aria-roledescription', 'slide');
+        slide.setAttribute('data-lazy-pending', '');
+      });
 
-      console.log(`ButtonMorphing: Found ${this.buttons.length} CTA buttons`);
+      this.renderControls();
+      this.bindEvents();
+      this.unsubscribeLocale = i18n.onChange(() => this.relabel());
+      this.goTo(0, { announce: false });
+      this.startAutoplay();
 
-      this.buttons.forEach((button) => {
-        this.initializeButton(button);
-      });
+      carouselLogger.debug(`Initialized with ${this.slides.length} slides`, { autoplay: this.autoplayEnabled ? this.interval : false });
     }
 
-    initializeButton(button) {
-      this.buttonStates.set(button, {
-        state: 'idle',
-        originalText: button.textContent.trim()
-      });
-
-      button.addEventListener('mouseenter', () => this.handleHover(button));
-      button.addEventListener('mouseleave', () => this.handleLeave(button));
-      button.addEventListener('mousedown', () => this.handleActive(button));
-      button.addEventListener('mouseup', () => this.handleRelease(button));
-      button.addEventListener('click', (e) => this.handleClick(button, e));
+    relabel() {
+      const total = this.slides.length;
 
-      button.addEventListener('focus', () => {
-        console.log('ButtonMorphing: Button focused', { text: button.textContent.trim() });
+      this.prevButton.setAttribute('aria-label', i18n.t('carousel.previous'));
+      this.nextButton.setAttribute('aria-label', i18n.t('carousel.next'));
+      this.dots.setAttribute('aria-label', i18n.t('carousel.dots'));
+      this.dotButtons.forEach((dot, index) => {
+        dot.setAttribute('aria-label', i18n.t('carousel.goTo', { index: index + 1 }));
       });
-
-      button.addEventListener('blur', () => {
-        const state = this.buttonStates.get(button);
-        if (state && state.state !== 'loading') {
-          this.resetButton(button);
-        }
+      this.slides.forEach((slide, index) => {
+        slide.setAttribute('aria-label', i18n.t('carousel.slideLabel', { index: index + 1, total }));
       });
+
+      if (this.toggleButton) {
+        this.toggleButton.setAttribute('aria-label', i18n.t(this.isPaused ? 'carousel.play' : 'carousel.pause'));
+      }
     }
 
-    handleHover(button) {
-      const state = this.buttonStates.get(button);
-      if (!state || state.state === 'loading') return;
+    createButton(className, label, symbol) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `carousel-button ${className}`;
+      button.setAttribute('aria-label', label);
 
-      console.log('ButtonMorphing: Button hover', { text: state.originalText });
-      button.style.setProperty('--hover-scale', '1.02');
+      const icon = document.createElement('span');
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = symbol;
+
+      button.appendChild(icon);
+      return button;
     }
 
-    handleLeave(button) {
-      const state = this.buttonStates.get(button);
-      if (!state || state.state === 'loading') return;
+    renderControls() {
+      this.controls = document.createElement('div');
+      this.controls.className = 'carousel-controls';
+
+      this.prevButton = this.createButton('carousel-prev', i18n.t('carousel.previous'), '‹');
+      this.nextButton = this.createButton('carousel-next', i18n.t('carousel.next'), '›');
+
+      this.dots = document.createElement('div');
+      this.dots.className = 'carousel-dots';
+      this.dots.setAttribute('role', 'group');
+      this.dots.setAttribute('aria-label', i18n.t('carousel.dots'));
+
+      this.dotButtons = this.slides.map((slide, index) => {
+        const dot = document.createElement('button');
+        dot.type = 'button';
+        dot.className = 'carousel-dot';
+        dot.setAttribute('aria-label', i18n.t('carousel.goTo', { index: index + 1 }));
+        dot.addEventListener('click', () => this.goTo(index, { trigger: 'dot' }));
+        this.dots.appendChild(dot);
+        return dot;
+      });
 
-      button.style.removeProperty('--hover-scale');
-    }
+      this.controls.append(this.prevButton, this.dots, this.nextButton);
 
-    handleActive(button) {
-      const state = this.buttonStates.get(button);
-      if (!state || state.state === 'loading') return;
+      if (this.autoplayEnabled) {
+        this.toggleButton = this.createButton('carousel-toggle', i18n.t('carousel.pause'), '❚❚');
+        this.toggleButton.addEventListener('click', () => this.toggleAutoplay());
+        this.controls.appendChild(this.toggleButton);
+      }
 
-      console.log('ButtonMorphing: Button active', { text: state.originalText });
+      this.status = document.createElement('p');
+      this.status.className = 'sr-only';
+
+      this.viewport.after(this.controls, this.status);
     }
 
-    handleRelease(button) {
-      const state = this.buttonStates.get(button);
-      if (!state || state.state === 'loading') return;
+    bindEvents() {
+      this.prevButton.addEventListener('click', () => this.goTo(this.currentIndex - 1, { trigger: 'button' }));
+      this.nextButton.addEventListener('click', () => this.goTo(this.currentIndex + 1, { trigger: 'button' }));
 
-      console.log('ButtonMorphing: Button released', { text: state.originalText });
-    }
+      this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
 
-    handleClick(button, event) {
-      const state = this.buttonStates.get(button);
-      if (!state) return;
+      this.viewport.addEventListener('touchstart', (e) => {
+        const touch = e.changedTouches[0];
+        this.touchStart = { x: touch.clientX, y: touch.clientY };
+      }, { passive: true });
 
-      if (state.state === 'loading') {
-        event.preventDefault();
-        console.log('ButtonMorphing: Click ignored, button in loading state');
-        return;
-      }
+      this.viewport.addEventListener('touchend', (e) => {
+        if (!this.touchStart) return;
 
-      const href = button.getAttribute('href');
-      if (href && href.startsWith('#')) {
-        event.preventDefault();
-        this.smoothScrollTo(href);
-      }
+        const touch = e.changedTouches[0];
+        const deltaX = touch.clientX - this.touchStart.x;
+        const deltaY = touch.clientY - this.touchStart.y;
+        this.touchStart = null;
 
-      console.log('ButtonMorphing: Button clicked', {
-        text: state.originalText,
-        href: href || 'none'
+        if (Math.abs(deltaX) >= CAROUSEL_SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+          this.goTo(this.currentIndex + (deltaX < 0 ? 1 : -1), { trigger: 'swipe' });
+        }
+      }, { passive: true });
+
+      this.container.addEventListener('mouseenter', () => {
+        this.isHovered = true;
+        this.stopAutoplay();
+      });
+      this.container.addEventListener('mouseleave', () => {
+        this.isHovered = false;
+        this.startAutoplay();
+      });
+      this.container.addEventListener('focusin', () => {
+        this.hasFocus = true;
+        this.stopAutoplay();
+      });
+      this.container.addEventListener('focusout', (e) => {
+        if (this.container.contains(e.relatedTarget)) return;
+        this.hasFocus = false;
+        this.startAutoplay();
       });
-    }
 
-    setLoadingState(button) {
-      const state = this.buttonStates.get(button);
-      if (!state) return;
+      this.handleVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') {
+          this.stopAutoplay();
+        } else {
+          this.startAutoplay();
+        }
+      };
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
 
-      state.state = 'loading';
-      button.disabled = true;
-      button.setAttribute('aria-busy', 'true');
+    handleKeydown(e) {
+      if (e.target.closest('input, textarea, select')) return;
 
-      const buttonText = button.querySelector('.button-text');
-      if (buttonText) {
-        buttonText.style.opacity = '0.5';
-      }
+      const targets = {
+        ArrowLeft: this.currentIndex - 1,
+        ArrowRight: this.currentIndex + 1,
+        Home: 0,
+        End: this.slides.length - 1
+      };
 
-      const spinner = button.querySelector('.button-spinner');
-      if (spinner) {
-        spinner.style.display = 'block';
-      }
+      if (!(e.key in targets)) return;
 
-      console.log('ButtonMorphing: Button loading state set', { text: state.originalText });
+      e.preventDefault();
+      this.goTo(targets[e.key], { trigger: 'keyboard' });
     }
 
-    setSuccessState(button) {
-      const state = this.buttonStates.get(button);
-      if (!state) return;
+    goTo(index, { announce = true, trigger = null } = {}) {
+      const total = this.slides.length;
+      this.currentIndex = ((index % total) + total) % total;
 
-      state.state = 'success';
-      button.disabled = false;
-      button.setAttribute('aria-busy', 'false');
+      this.track.style.transform = `translateX(${-100 * this.currentIndex}%)`;
 
-      const buttonText = button.querySelector('.button-text');
-      if (buttonText) {
-        buttonText.textContent = 'Success!';
-        buttonText.style.opacity = '1';
+      this.slides.forEach((slide, slideIndex) => {
+        const isCurrent = slideIndex === this.currentIndex;
+        slide.setAttribute('aria-label', i18n.t('carousel.slideLabel', { index: slideIndex + 1, total }));
+        slide.setAttribute('aria-hidden', String(!isCurrent));
+        slide.inert = !isCurrent;
+      });
+
+      this.dotButtons.forEach((dot, dotIndex) => {
+        if (dotIndex === this.currentIndex) {
+          dot.setAttribute('aria-current', 'true');
+        } else {
+          dot.removeAttribute('aria-current');
+        }
+      });
+
+      [this.currentIndex - 1, this.currentIndex, this.currentIndex + 1].forEach((slideIndex) => {
+        this.loadSlide(this.slides[(slideIndex + total) % total]);
+      });
+
+      if (announce) {
+        this.status.textContent = i18n.t('carousel.status', { index: this.currentIndex + 1, total });
       }
 
-      const spinner = button.querySelector('.button-spinner');
-      if (spinner) {
-        spinner.style.display = 'none';
+      if (trigger) {
+        analytics.publish('carousel_navigate', { index: this.currentIndex, trigger }, this.container);
+        dispatchLifecycleEvent(this.container, 'carousel:change', { index: this.currentIndex, trigger });
+
+        if (trigger !== 'autoplay' && this.timer) {
+          this.stopAutoplay();
+          this.startAutoplay();
+        }
       }
+    }
 
-      console.log('ButtonMorphing: Button success state set', { text: state.originalText });
+    loadSlide(slide) {
+      if (!slide || !slide.hasAttribute('data-lazy-pending')) return;
 
-      setTimeout(() => {
-        this.resetButton(button);
-      }, 2000);
+      slide.removeAttribute('data-lazy-pending');
+      consent.loadGatedResources(slide);
+
+      slide.querySelectorAll('img[data-src]').forEach((img) => {
+        img.setAttribute('src', img.dataset.src);
+        img.removeAttribute('data-src');
+      });
     }
 
-    resetButton(button) {
-      const state = this.buttonStates.get(button);
-      if (!state) return;
+    startAutoplay() {
+      if (!this.autoplayEnabled || this.isPaused || this.isHovered || this.hasFocus || this.timer) return;
+      if (document.visibilityState === 'hidden') return;
 
-      state.state = 'idle';
-      button.disabled = false;
-      button.setAttribute('aria-busy', 'false');
+      this.timer = setInterval(() => this.goTo(this.currentIndex + 1, { trigger: 'autoplay' }), this.interval);
+      this.status.setAttribute('aria-live', 'off');
+    }
 
-      const buttonText = button.querySelector('.button-text');
-      if (buttonText) {
-        buttonText.textContent = state.originalText;
-        buttonText.style.opacity = '1';
+    stopAutoplay() {
+      if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
       }
+      this.status.setAttribute('aria-live', 'polite');
+    }
 
-      const spinner = button.querySelector('.button-spinner');
-      if (spinner) {
-        spinner.style.display = 'none';
+    toggleAutoplay() {
+      this.isPaused = !this.isPaused;
+
+      const label = i18n.t(this.isPaused ? 'carousel.play' : 'carousel.pause');
+      this.toggleButton.setAttribute('aria-label', label);
+      this.toggleButton.firstElementChild.textContent = this.isPaused ? '▶' : '❚❚';
+
+      if (this.isPaused) {
+        this.stopAutoplay();
+      } else {
+        this.startAutoplay();
       }
 
-      console.log('ButtonMorphing: Button reset to idle', { text: state.originalText });
+      carouselLogger.debug(`Autoplay ${this.isPaused ? 'paused' : 'resumed'} by user`);
     }
 
-    setupSmoothScroll() {
-      const navLinks = document.querySelectorAll('a[href^="#"]');
-
-      console.log(`ButtonMorphing: Setting up smooth scroll for ${navLinks.length} links`);
+    destroy() {
+      if (!this.viewport) return;
 
-      navLinks.forEach((link) => {
-        link.addEventListener('click', (e) => {
-          const href = link.getAttribute('href');
-          if (href && href !== '#' && href.startsWith('#')) {
-            e.preventDefault();
-            this.smoothScrollTo(href);
-          }
-        });
-      });
+      this.stopAutoplay();
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+      this.unsubscribeLocale();
     }
+  }
 
-    smoothScrollTo(target) {
-      const element = document.querySelector(target);
+  const skeletonLogger = createLogger('SkeletonLoading');
 
-      if (!element) {
-        console.warn(`ButtonMorphing: Smooth scroll target not found: ${target}`);
-        return;
-      }
+  const LAZY_IMAGE_SELECTOR = 'img[loading="lazy"], img[data-consent-src], img[data-src]';
 
-      const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const IMAGE_RETRY_LIMIT = 2;
 
-      if (reducedMotion) {
-        element.scrollIntoView();
-        console.log('ButtonMorphing: Instant scroll (reduced motion)', { target });
-      } else {
-        element.scrollIntoView({
-          behavior: 'smooth',
-          block: 'start'
-        });
-        console.log('ButtonMorphing: Smooth scroll initiated', { target });
-      }
+  const IMAGE_RETRY_BASE_DELAY = 1000;
 
-      if (element.hasAttribute('tabindex')) {
-        element.focus();
-      } else {
-        element.setAttribute('tabindex', '-1');
-        element.focus();
-        element.addEventListener('blur', () => {
-          element.removeAttribute('tabindex');
-        }, { once: true });
-      }
-    }
+  const AVATAR_COLORS = ['#2675e9', '#0f9d7a', '#7048e8', '#e8590c', '#c2255c', '#1971c2'];
+
+  function getInitials(name) {
+    return String(name || '')
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(part => Array.from(part)[0])
+      .filter((initial, index, initials) => index === 0 || index === initials.length - 1)
+      .join('')
+      .toLocaleUpperCase();
+  }
+
+  function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+  }
+
+  function createInitialsAvatar(name) {
+    const initials = getInitials(name) || '?';
+    const hash = Array.from(String(name || '')).reduce((sum, character) => sum + character.codePointAt(0), 0);
+    const color = AVATAR_COLORS[hash % AVATAR_COLORS.length];
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="120" height="120" viewBox="0 0 120 120">` +
+      `<rect width="120" height="120" fill="${color}"/>` +
+      `<text x="50%" y="50%" dy="0.35em" text-anchor="middle" font-family="system-ui, sans-serif" font-size="48" font-weight="600" fill="#ffffff">${escapeXml(initials)}</text>` +
+      `</svg>`;
+
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
   }
 
   /**
-   * Skeleton Loading for Testimonial Images
-   * Implements loading placeholders for async image loading
+   * Skeleton Loading for Lazy Images
+   * Shows a shimmer skeleton, or a blurred data-placeholder-src preview, while
+   * lazy images load. Failed loads retry with backoff, then fall back to
+   * data-fallback-src and finally to an initials avatar of the attributed name.
    */
   class SkeletonLoading {
-    constructor() {
+    constructor(options = {}) {
+      this.retryLimit = options.retryLimit ?? IMAGE_RETRY_LIMIT;
+      this.retryDelay = options.retryDelay || IMAGE_RETRY_BASE_DELAY;
       this.images = [];
-      console.log('SkeletonLoading: Initialization started');
+      this.imageStates = new WeakMap();
+      skeletonLogger.debug('Initialization started');
       this.init();
     }
 
     init() {
-      this.setupTestimonialImages();
-      console.log('SkeletonLoading: Initialization complete');
+      this.setupLazyImages();
+      skeletonLogger.debug('Initialization complete');
     }
 
-    setupTestimonialImages() {
-      const testimonialImages = document.querySelectorAll('.testimonial-photo img');
+    setupLazyImages(root = document) {
+      const lazyImages = root.querySelectorAll(LAZY_IMAGE_SELECTOR);
 
-      console.log(`SkeletonLoading: Found ${testimonialImages.length} testimonial images`);
+      skeletonLogger.debug(`Found ${lazyImages.length} lazy images`);
 
-      testimonialImages.forEach((img) => {
+      lazyImages.forEach((img) => {
         this.setupImageLoading(img);
       });
     }
 
+    getContainer(img) {
+      return img.closest('.testimonial-photo, [data-skeleton]') || img.parentElement;
+    }
+
     setupImageLoading(img) {
-      const container = img.closest('.testimonial-photo');
+      const container = this.getContainer(img);
       if (!container) return;
 
-      if (!img.complete || img.naturalHeight === 0) {
-        this.showSkeleton(container, img);
+      container.classList.add('image-skeleton');
 
-        img.addEventListener('load', () => {
-          this.hideSkeleton(container, img);
-        });
+      if (img.hasAttribute('data-consent-src') && !img.getAttribute('src') && !consent.has(img.dataset.consent || 'marketing')) {
+        container.classList.add('consent-blocked');
+        skeletonLogger.debug('Image waiting for consent', { src: img.dataset.consentSrc });
 
-        img.addEventListener('error', () => {
-          this.handleImageError(container, img);
+        consent.whenGranted(img.dataset.consent || 'marketing').then(() => {
+          container.classList.remove('consent-blocked');
+          this.setupImageLoading(img);
         });
-      } else {
-        console.log('SkeletonLoading: Image already loaded', { src: img.src });
+        return;
+      }
+
+      if (this.imageStates.has(img)) return;
+
+      this.images.push(img);
+      this.imageStates.set(img, { attempts: 0, usedFallback: false, usedAvatar: false });
+
+      img.addEventListener('load', () => {
+        this.hideSkeleton(container, img);
+      });
+
+      img.addEventListener('error', () => {
+        this.handleImageError(container, img);
+      });
+
+      if (img.complete && img.naturalHeight > 0) {
+        skeletonLogger.debug('Image already loaded', { src: img.src });
+        return;
+      }
+
+      this.showSkeleton(container, img);
+
+      if (img.complete && img.getAttribute('src')) {
+        this.handleImageError(container, img);
       }
     }
 
     showSkeleton(container, img) {
-      container.classList.add('loading');
+      const placeholder = img.dataset.placeholderSrc;
+
+      if (placeholder) {
+        container.style.setProperty('--placeholder-image', `url("${placeholder.replace(/"/g, '%22')}")`);
+        container.classList.add('blur-up');
+      } else {
+        container.classList.add('loading');
+      }
       img.style.opacity = '0';
 
-      console.log('SkeletonLoading: Skeleton shown', { src: img.src });
+      skeletonLogger.debug('Skeleton shown', { src: img.src, blurUp: Boolean(placeholder) });
     }
 
     hideSkeleton(container, img) {
+      img.style.opacity = '1';
+
       setTimeout(() => {
-        container.classList.remove('loading');
-        img.style.opacity = '1';
+        container.classList.remove('loading', 'blur-up');
 
-        console.log('SkeletonLoading: Image loaded, skeleton hidden', { src: img.src });
+        skeletonLogger.debug('Image loaded, skeleton hidden', { src: img.src });
       }, 200);
     }
 
+    getAttributionName(img) {
+      if (img.dataset.initialsName) {
+        return img.dataset.initialsName;
+      }
+
+      const card = img.closest('article, figure, [data-skeleton]');
+      const attribution = card && card.querySelector('cite strong, figcaption');
+      return attribution ? attribution.textContent.trim() : img.alt;
+    }
+
     handleImageError(container, img) {
-      container.classList.remove('loading');
-      img.style.opacity = '0.3';
-      img.alt = `${img.alt} (failed to load)`;
+      const state = this.imageStates.get(img);
+      const src = img.getAttribute('src');
+      if (!state || !src) return;
+
+      if (state.usedAvatar) {
+        container.classList.remove('loading', 'blur-up');
+        img.style.opacity = '1';
+        skeletonLogger.error('Initials avatar failed to render', { name: this.getAttributionName(img) });
+        return;
+      }
+
+      if (state.attempts < this.retryLimit) {
+        const delay = this.retryDelay * Math.pow(2, state.attempts);
+        state.attempts++;
+
+        skeletonLogger.warn(`Image failed to load, retry ${state.attempts}/${this.retryLimit} in ${delay}ms`, { src });
+        setTimeout(() => img.setAttribute('src', src), delay);
+        return;
+      }
+
+      if (!state.usedFallback && img.dataset.fallbackSrc && img.dataset.fallbackSrc !== src) {
+        state.usedFallback = true;
+        state.attempts = 0;
+
+        skeletonLogger.warn('Image failed to load, trying fallback source', { src, fallback: img.dataset.fallbackSrc });
+        img.setAttribute('src', img.dataset.fallbackSrc);
+        return;
+      }
 
-      console.error('SkeletonLoading: Image failed to load', { src: img.src });
+      state.usedAvatar = true;
+      container.classList.add('image-fallback');
+      img.setAttribute('src', createInitialsAvatar(this.getAttributionName(img)));
+
+      skeletonLogger.warn('Image failed to load, showing initials avatar', { src });
     }
   }
 
+  const appLogger = createLogger('Application');
+
   /**
    * Initialize all interactive features
+   * Options are keyed by registry type (e.g. { contactForm: { queue: false } })
+   * and merged into the options each component is created with
    */
-  function initializeInteractions() {
-    console.log('Application: DOM ready, initializing all features');
+  function initializeInteractions(options = {}) {
+    if (instances.types().length) {
+      appLogger.warn('Interactions already initialized');
+      return instances;
+    }
+
+    appLogger.debug('DOM ready, initializing all features');
+
+    const optionsFor = (type, defaults = {}) => ({ ...defaults, ...(options[type] || {}) });
+
+    const testimonialRenderers = Array.from(document.querySelectorAll('[data-testimonials]'), container => instances.register('testimonialRenderer', new TestimonialRenderer(container), { element: container }));
+    const testimonialsRendered = Promise.all(testimonialRenderers.map(renderer => renderer.render()));
+
+    const carouselOptions = optionsFor('carousel');
+    const createCarousel = container => instances.register('carousel', new Carousel(container, carouselOptions), { element: container, options: carouselOptions });
+    const carousels = Array.from(document.querySelectorAll('[data-carousel]'))
+      .filter(container => !container.querySelector('[data-testimonials-src]'))
+      .map(createCarousel);
+    appLogger.debug(`${carousels.length} carousel(s) initialized`);
+
+    consent.init();
+    analytics.configure();
+    attribution.capture();
+
+    i18n.loadCatalogs().then(() => {
+      appLogger.debug(`Messages localized for ${i18n.locale}`);
+    });
+
+    const mobileNavOptions = optionsFor('mobileNav');
+    const mobileNav = instances.register('mobileNav', new MobileNav(mobileNavOptions), { element: document.querySelector('[data-nav-toggle]'), options: mobileNavOptions });
+    appLogger.debug('MobileNav initialized', { enabled: Boolean(mobileNav.panel) });
+
+    const scrollSpyOptions = optionsFor('scrollSpy');
+    const scrollSpy = instances.register('scrollSpy', new ScrollSpy(scrollSpyOptions), { options: scrollSpyOptions });
+    appLogger.debug('ScrollSpy initialized');
+
+    const buttonMorphingOptions = optionsFor('buttonMorphing', { scrollSpy });
+    const buttonMorphing = instances.register('buttonMorphing', new ButtonMorphing(buttonMorphingOptions), { options: buttonMorphingOptions });
+    appLogger.debug('ButtonMorphing initialized');
 
     const formElement = document.querySelector('.contact-form');
-    if (formElement) {
-      new ContactForm(formElement);
-      console.log('Application: ContactForm initialized');
+    const contactFormOptions = optionsFor('contactForm', { buttonMorphing });
+    const contactForm = formElement
+      ? instances.register('contactForm', new ContactForm(formElement, contactFormOptions), { element: formElement, options: contactFormOptions })
+      : null;
+    if (contactForm) {
+      appLogger.debug('ContactForm initialized');
     } else {
-      console.warn('Application: Contact form element not found');
+      appLogger.warn('Contact form element not found');
     }
 
-    const scrollReveal = new ScrollReveal();
-    console.log('Application: ScrollReveal initialized');
+    const scrollRevealOptions = optionsFor('scrollReveal');
+    const scrollReveal = instances.register('scrollReveal', new ScrollReveal(scrollRevealOptions), { options: scrollRevealOptions });
+    appLogger.debug('ScrollReveal initialized');
+
+    const statsFeed = instances.register('statsFeed', new StatsFeed());
+    statsFeed.apply(statsFeed.getInitialValues());
+
+    const statCounterOptions = optionsFor('statCounter');
+    const statCounter = instances.register('statCounter', new StatCounter(scrollReveal, statCounterOptions), { options: statCounterOptions });
+    appLogger.debug('StatCounter initialized');
+
+    statsFeed.load().then((values) => {
+      if (values) {
+        statCounter.setValues(values);
+      }
+    });
+
+    const calculatorOptions = optionsFor('calculator', {
+      config: Calculator.readConfig(),
+      contactForm,
+      buttonMorphing
+    });
+    const calculators = Array.from(document.querySelectorAll('[data-calculator]'), form => instances.register('calculator', new Calculator(form, calculatorOptions), { element: form, options: calculatorOptions }));
+    appLogger.debug(`${calculators.length} calculator(s) initialized`);
+
+    const pricingTableOptions = optionsFor('pricingTable', {
+      contactForm,
+      buttonMorphing
+    });
+    const pricingTables = Array.from(document.querySelectorAll('[data-pricing]'), container => instances.register('pricingTable', new PricingTable(container, pricingTableOptions), { element: container, options: pricingTableOptions }));
+    appLogger.debug(`${pricingTables.length} pricing table(s) initialized`);
+
+    const skeletonLoadingOptions = optionsFor('skeletonLoading');
+    const skeletonLoading = instances.register('skeletonLoading', new SkeletonLoading(skeletonLoadingOptions), { options: skeletonLoadingOptions });
+    appLogger.debug('SkeletonLoading initialized');
+
+    testimonialsRendered.then(() => {
+      publishTestimonialStructuredData(testimonialRenderers);
 
-    const buttonMorphing = new ButtonMorphing();
-    console.log('Application: ButtonMorphing initialized');
+      testimonialRenderers.filter(renderer => renderer.source).forEach((renderer) => {
+        const carouselContainer = renderer.container.closest('[data-carousel]');
+        if (carouselContainer && !carouselContainer.classList.contains('is-carousel')) {
+          carousels.push(createCarousel(carouselContainer));
+        }
 
-    const skeletonLoading = new SkeletonLoading();
-    console.log('Application: SkeletonLoading initialized');
+        consent.loadGatedResources(renderer.container);
+        skeletonLoading.setupLazyImages(renderer.container);
+      });
+    });
 
-    console.log('Application: All features initialized successfully');
+    appLogger.info('All features initialized successfully');
+    dispatchLifecycleEvent(document, 'fintech:ready', { instances });
 
     window.addEventListener('beforeunload', () => {
       if (scrollReveal) {
         scrollReveal.destroy();
       }
-      console.log('Application: Cleanup completed');
+      scrollSpy.destroy();
+      carousels.forEach(carousel => carousel.destroy());
+      appLogger.debug('Cleanup completed');
     });
+
+    return instances;
   }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeInteractions);
-  } else {
-    initializeInteractions();
+  /**
+   * Public API
+   * Exposed as window.FintechLandingPage for classic scripts and re-exported
+   * by app.module.js for ES module consumers. Set
+   * window.FintechLandingPageOptions before app.js loads to pass component
+   * options, or { autoInit: false } to call init() yourself.
+   */
+  const pageOptions = window.FintechLandingPageOptions || {};
+
+  window.FintechLandingPage = Object.freeze({
+    init: (options = pageOptions) => initializeInteractions(options),
+    instances,
+    i18n,
+    consent,
+    analytics,
+    attribution,
+    createLogger,
+    ContactForm,
+    FormWizard,
+    FormDraft,
+    PhoneInput,
+    SpamGuard,
+    SubmissionQueue,
+    SubmissionError,
+    ScrollReveal,
+    StatsFeed,
+    StatCounter,
+    Calculator,
+    PricingTable,
+    ScrollSpy,
+    MobileNav,
+    ButtonMorphing,
+    TestimonialRenderer,
+    Carousel,
+    SkeletonLoading
+  });
+
+  if (pageOptions.autoInit !== false) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => initializeInteractions(pageOptions));
+    } else {
+      initializeInteractions(pageOptions);
+    }
   }
 
 })();
@@ -0,0 +1,41 @@
+/**
+ * ES Module Entry for the Landing Page Components
+ * Loads app.js once, reusing a copy already included as a classic script,
+ * and re-exports the window.FintechLandingPage API as named exports
+ */
+
+if (!window.FintechLandingPage) {
+  await import('./app.js');
+}
+
+const api = window.FintechLandingPage;
+
+export const {
+  init,
+  instances,
+  i18n,
+  consent,
+  analytics,
+  attribution,
+  createLogger,
+  ContactForm,
+  FormWizard,
+  FormDraft,
+  PhoneInput,
+  SpamGuard,
+  SubmissionQueue,
+  SubmissionError,
+  ScrollReveal,
+  StatsFeed,
+  StatCounter,
+  Calculator,
+  PricingTable,
+  ScrollSpy,
+  MobileNav,
+  ButtonMorphing,
+  TestimonialRenderer,
+  Carousel,
+  SkeletonLoading
+} = api;
+
+export default api;